@@ -0,0 +1,258 @@
+/**
+ * CSV Importer
+ * Builds GEDCOM records from a spreadsheet with one person per row, using a
+ * mapping from columns to fields; parents and spouses are linked by name or id
+ */
+
+class CsvImporter {
+    /**
+     * Split CSV text into a header row and data rows
+     * The delimiter (comma, semicolon or tab) is taken from the header line
+     * @param {string} text - The file contents
+     * @returns {Object} { headers, rows } with rows as arrays of trimmed cells
+     */
+    static parse(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const records = [];
+        let record = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (char === delimiter) {
+                record.push(cell.trim());
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                record.push(cell.trim());
+                records.push(record);
+                record = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || record.length > 0) {
+            record.push(cell.trim());
+            records.push(record);
+        }
+
+        const [headers = [], ...rows] = records;
+        return { headers, rows };
+    }
+
+    /**
+     * Guess which column holds each field from the header names
+     * @param {Array} headers - The header row
+     * @returns {Object} Column index for each field key, or -1
+     */
+    static guessMapping(headers) {
+        const mapping = {};
+        CsvImporter.FIELDS.forEach(field => {
+            mapping[field.key] = headers.findIndex(header => field.pattern.test(header.trim()));
+        });
+        return mapping;
+    }
+
+    /**
+     * @param {Object} mapping - Column index for each field key; -1 if not present
+     */
+    constructor(mapping) {
+        this.mapping = mapping;
+    }
+
+    /**
+     * Build INDI and FAM records from the data rows
+     * @param {Array} rows - Data rows from parse
+     * @returns {Object} { records, unlinked } where unlinked lists
+     *                   { row, personId, message } for rows that could not be linked
+     */
+    import(rows) {
+        const node = GedcomWriter.createNode;
+        const people = [];
+        const unlinked = [];
+
+        // Spreadsheet row numbers count the header as row 1
+        rows.forEach((row, index) => {
+            if (row.every(value => value === '')) return;
+
+            const person = {
+                row: index + 2,
+                id: this.get(row, 'id'),
+                name: this.get(row, 'name'),
+                sex: this.parseSex(this.get(row, 'sex')),
+                cells: row
+            };
+            if (!person.name && !person.id) {
+                unlinked.push({ row: person.row, personId: null, message: 'Row has no name or id and was skipped' });
+                return;
+            }
+            person.xref = `@I${people.length + 1}@`;
+            people.push(person);
+        });
+
+        const byId = new Map(people.filter(person => person.id).map(person => [person.id, person]));
+        const byName = new Map();
+        people.forEach(person => {
+            const key = this.normalize(person.name);
+            if (!byName.has(key)) byName.set(key, []);
+            byName.get(key).push(person);
+        });
+
+        const resolve = (person, field, value = this.get(person.cells, field)) => {
+            if (!value) return null;
+
+            const matches = byId.has(value) ? [byId.get(value)] : byName.get(this.normalize(value)) || [];
+            const label = CsvImporter.FIELDS.find(item => item.key === field).label;
+            if (matches.length === 1 && matches[0] !== person) return matches[0];
+
+            const problem = matches.length === 0 ? 'matches no row'
+                : matches.length > 1 ? `matches ${matches.length} rows` : 'is the row itself';
+            unlinked.push({ row: person.row, personId: person.xref, message: `${label} "${value}" ${problem}` });
+            return null;
+        };
+
+        // One family per couple: parents of a child, or spouses
+        const families = new Map();
+        const familyOf = (husband, wife) => {
+            const key = [husband, wife].map(member => member ? member.xref : '').sort().join('|');
+            if (!families.has(key)) {
+                families.set(key, { xref: `@F${families.size + 1}@`, husband, wife, children: [] });
+            }
+            return families.get(key);
+        };
+
+        people.forEach(person => {
+            const father = resolve(person, 'father');
+            const mother = resolve(person, 'mother');
+            if (father && !father.sex) father.sex = 'M';
+            if (mother && !mother.sex) mother.sex = 'F';
+            if (father || mother) familyOf(father, mother).children.push(person);
+        });
+        // Several spouses may share a cell, separated by semicolons
+        people.forEach(person => {
+            this.get(person.cells, 'spouse').split(/\s*;\s*/).forEach(value => {
+                const spouse = resolve(person, 'spouse', value);
+                if (!spouse) return;
+                const [husband, wife] = person.sex === 'F' || spouse.sex === 'M' ? [spouse, person] : [person, spouse];
+                familyOf(husband, wife);
+            });
+        });
+
+        const familyList = [...families.values()];
+        const records = [
+            node('HEAD', '', [node('SOUR', 'CSV')]),
+            ...people.map(person => {
+                const birthDate = this.formatDate(this.get(person.cells, 'birthDate'));
+                const birthPlace = this.get(person.cells, 'birthPlace');
+                return node('INDI', '', [
+                    node('NAME', person.name || person.id),
+                    person.sex ? node('SEX', person.sex) : null,
+                    birthDate || birthPlace ? node('BIRT', '', [
+                        birthDate ? node('DATE', birthDate) : null,
+                        birthPlace ? node('PLAC', birthPlace) : null
+                    ]) : null,
+                    ...familyList
+                        .filter(family => family.children.includes(person))
+                        .map(family => node('FAMC', family.xref)),
+                    ...familyList
+                        .filter(family => family.husband === person || family.wife === person)
+                        .map(family => node('FAMS', family.xref))
+                ], person.xref);
+            }),
+            ...familyList.map(family => node('FAM', '', [
+                family.husband ? node('HUSB', family.husband.xref) : null,
+                family.wife ? node('WIFE', family.wife.xref) : null,
+                ...family.children.map(child => node('CHIL', child.xref))
+            ], family.xref))
+        ];
+
+        return { records, unlinked: unlinked.sort((a, b) => a.row - b.row) };
+    }
+
+    /**
+     * Get the trimmed value of a mapped field in a row
+     */
+    get(row, field) {
+        const index = this.mapping[field];
+        return index >= 0 && index < row.length ? row[index] : '';
+    }
+
+    /**
+     * Normalise a name for matching: case and spacing are ignored, as are GEDCOM surname slashes
+     */
+    normalize(name) {
+        return name.replace(/\//g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    /**
+     * Read a sex column: M/F, male/female, man/woman
+     */
+    parseSex(value) {
+        const text = value.toLowerCase();
+        if (/^(m|male|man)$/.test(text)) return 'M';
+        if (/^(f|female|woman|w)$/.test(text)) return 'F';
+        return text ? 'U' : '';
+    }
+
+    /**
+     * Convert a spreadsheet date to a GEDCOM date value
+     * ISO dates and GEDCOM-style dates are converted; anything else is kept as a date phrase
+     */
+    formatDate(value) {
+        if (!value) return '';
+
+        const iso = value.match(/^(\d{3,4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+        if (iso) {
+            const month = Number(iso[2]) || 0;
+            const day = Number(iso[3]) || 0;
+            if (month <= 12) {
+                return [day && month ? day : null, month ? GedcomDate.MONTHS[month - 1] : null, Number(iso[1])]
+                    .filter(part => part !== null).join(' ');
+            }
+        }
+
+        const approximate = value.match(/^(?:c\.?|ca\.?|circa|about|abt\.?)\s*(.+)$/i);
+        if (approximate) {
+            const date = this.formatDate(approximate[1]);
+            return date.startsWith('(') ? `(${value})` : `ABT ${date}`;
+        }
+
+        const upper = value.toUpperCase().replace(/\s+/g, ' ');
+        return GedcomDate.parse(upper).valid ? upper : `(${value})`;
+    }
+}
+
+// Fields a column can be mapped to, with header names recognised automatically
+CsvImporter.FIELDS = [
+    { key: 'id', label: 'Id', pattern: /^(id|ref|reference|number|no\.?)$/i },
+    { key: 'name', label: 'Name', pattern: /^(full ?)?name$/i },
+    { key: 'sex', label: 'Sex', pattern: /^(sex|gender)$/i },
+    { key: 'birthDate', label: 'Birth date', pattern: /^(birth ?date|date of birth|born|dob)$/i },
+    { key: 'birthPlace', label: 'Birth place', pattern: /^(birth ?place|place of birth|place)$/i },
+    { key: 'father', label: 'Father', pattern: /^father/i },
+    { key: 'mother', label: 'Mother', pattern: /^mother/i },
+    { key: 'spouse', label: 'Spouse', pattern: /^(spouse|partner|husband|wife)/i }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvImporter;
+}
@@ -0,0 +1,88 @@
+/**
+ * Era Calendars
+ * Maps era-relative years (e.g. "TA 2124") onto one absolute timeline
+ */
+
+class EraCalendarRegistry {
+    /**
+     * @param {Object} eras - Era definitions keyed by code
+     */
+    constructor(eras = EraCalendarRegistry.DEFAULT_ERAS) {
+        this.eras = new Map();
+        Object.entries(eras).forEach(([code, era]) => this.register(code, era));
+    }
+
+    /**
+     * Register or replace an era
+     * The absolute year of an era year is offset + year * scale
+     * @param {string} code - Era code as used in event TYPE values
+     * @param {Object} era - { label, offset, scale }
+     */
+    register(code, era = {}) {
+        this.eras.set(code.toUpperCase(), {
+            code,
+            label: era.label || code,
+            offset: era.offset || 0,
+            scale: era.scale || 1
+        });
+    }
+
+    /**
+     * Look up an era by code (case-insensitive)
+     * @returns {Object|null} The era, or null if the code is not an era
+     */
+    get(code) {
+        if (!code) return null;
+        return this.eras.get(code.trim().toUpperCase()) || null;
+    }
+
+    /**
+     * Get all registered eras ordered along the timeline
+     */
+    list() {
+        return Array.from(this.eras.values()).sort((a, b) => a.offset - b.offset);
+    }
+
+    /**
+     * Register eras declared in the file header:
+     *   1 _ERA TA
+     *   2 NAME Third Age
+     *   2 _OFFSET 4031
+     *   2 _SCALE 1
+     * @param {Object} header - The HEAD record node
+     */
+    configureFromHeader(header) {
+        if (!header) return;
+
+        header.children
+            .filter(node => node.tag === '_ERA' && node.value)
+            .forEach(node => {
+                const field = tag => {
+                    const child = node.children.find(c => c.tag === tag);
+                    return child ? child.value : '';
+                };
+                const existing = this.get(node.value) || {};
+                this.register(node.value, {
+                    label: field('NAME') || existing.label,
+                    offset: field('_OFFSET') !== '' ? parseFloat(field('_OFFSET')) : existing.offset,
+                    scale: field('_SCALE') !== '' ? parseFloat(field('_SCALE')) : existing.scale
+                });
+            });
+    }
+}
+
+// Ages of Arda, with First Age 1 as absolute year 1.
+// A Valian Year of the Trees is about 9.582 solar years.
+EraCalendarRegistry.DEFAULT_ERAS = {
+    YT: { label: 'Years of the Trees', offset: -1500 * 9.582, scale: 9.582 },
+    FA: { label: 'First Age', offset: 0 },
+    SA: { label: 'Second Age', offset: 590 },
+    TA: { label: 'Third Age', offset: 4031 },
+    SR: { label: 'Shire Reckoning', offset: 5631 },
+    FoA: { label: 'Fourth Age', offset: 7052 }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EraCalendarRegistry;
+}
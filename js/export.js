@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Command-line export
+ * Usage: node js/export.js <file.ged> <csv|json|gedcomx> [output file]
+ * Writes to standard output when no output file is given
+ */
+
+const fs = require('fs');
+const GedcomEncoding = require('./gedcom-encoding');
+const GedcomParser = require('./gedcom-parser');
+const ModelExporter = require('./model-exporter');
+
+const [input, format, output] = process.argv.slice(2);
+if (!input || !ModelExporter.FORMATS[format]) {
+    console.error(`Usage: node js/export.js <file.ged> <${Object.keys(ModelExporter.FORMATS).join('|')}> [output file]`);
+    process.exit(1);
+}
+
+const { text } = GedcomEncoding.decode(new Uint8Array(fs.readFileSync(input)));
+const parser = new GedcomParser();
+parser.parse(text);
+parser.warnings.forEach(warning => console.error(`Warning: ${warning.message}`));
+
+const result = new ModelExporter(parser).export(format);
+if (output) {
+    fs.writeFileSync(output, result);
+} else {
+    process.stdout.write(result);
+}
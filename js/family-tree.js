@@ -10,20 +10,42 @@ class FamilyTreeVisualization {
         this.zoom = null;
         this.nodes = [];
         this.links = [];
+        this.allLinks = [];
         this.nodeElements = null;
         this.linkElements = null;
         this.parser = new GedcomParser();
+        this.media = new MediaResolver();
+        this.fileEncoding = '';
+        this.issues = [];
+        this.findings = [];
+        this.unlinkedRows = [];
+        this.importWarnings = [];
+        this.csv = null;
         this.generations = new Map(); // Maps person ID to generation number
 
         this.config = {
             nodeWidth: 140,
             nodeHeight: 50,
             nodeRadius: 12,
+            portraitRadius: 18,
             horizontalSpacing: 160,  // Space between nodes horizontally
             verticalSpacing: 120,    // Space between generations
             familyGap: 40            // Extra gap between family groups
         };
 
+        // Parent-child link statuses currently hidden from the tree
+        this.hiddenLinkStatuses = new Set();
+
+        // Show dates in their recorded calendar or converted to Gregorian
+        this.dateOptions = { calendar: 'original' };
+
+        // Which of a person's names is shown, and how it is written
+        this.namePolicy = { ...GedcomParser.DEFAULT_NAME_POLICY };
+
+        // Rules and per-people limits for the plausibility checks; a file's
+        // header may change them for that file (see PlausibilityChecker.configFromHeader)
+        this.plausibilityConfig = structuredClone(PlausibilityChecker.DEFAULT_CONFIG);
+
         this.init();
     }
 
@@ -138,6 +160,162 @@ class FamilyTreeVisualization {
             });
         }
 
+        // Media folder
+        const mediaInput = document.getElementById('media-input');
+        const mediaButton = document.getElementById('media-folder-btn');
+        if (mediaInput && mediaButton) {
+            mediaButton.addEventListener('click', () => {
+                mediaInput.click();
+            });
+            mediaInput.addEventListener('change', () => {
+                this.media.addFileList(mediaInput.files);
+                this.render();
+                infoModal.classList.remove('visible');
+            });
+        }
+
+        // Spreadsheet column mapping
+        const csvModal = document.getElementById('csv-modal');
+        const csvClose = document.getElementById('csv-close');
+        const csvImport = document.getElementById('csv-import-btn');
+        if (csvClose) {
+            csvClose.addEventListener('click', () => {
+                csvModal.classList.remove('visible');
+            });
+        }
+        if (csvImport) {
+            csvImport.addEventListener('click', () => {
+                this.importCsv();
+            });
+        }
+
+        // Export
+        const downloadButton = document.getElementById('download-gedcom-btn');
+        if (downloadButton) {
+            downloadButton.addEventListener('click', () => {
+                this.downloadGedcom();
+            });
+        }
+        document.querySelectorAll('.export-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.downloadExport(button.dataset.format);
+            });
+        });
+        document.querySelectorAll('.graph-export-button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.downloadGraph(button.dataset.format);
+            });
+        });
+
+        // Detail panel
+        const detailClose = document.getElementById('detail-close');
+        if (detailClose) {
+            detailClose.addEventListener('click', () => {
+                this.hideDetails();
+            });
+        }
+
+        // Link status toggles
+        document.querySelectorAll('.link-status-toggle').forEach(toggle => {
+            toggle.addEventListener('change', () => {
+                this.setLinkStatusHidden(toggle.dataset.status, toggle.checked);
+            });
+        });
+
+        // Validation issues panel
+        const issuesBtn = document.getElementById('issues-btn');
+        const issuesPanel = document.getElementById('issues-panel');
+        const issuesClose = document.getElementById('issues-close');
+        const issuesList = document.getElementById('issues-list');
+        if (issuesBtn && issuesPanel) {
+            issuesBtn.addEventListener('click', () => {
+                issuesPanel.classList.toggle('visible');
+                document.getElementById('places-panel').classList.remove('visible');
+            });
+        }
+        if (issuesClose) {
+            issuesClose.addEventListener('click', () => {
+                issuesPanel.classList.remove('visible');
+            });
+        }
+        if (issuesList) {
+            issuesList.addEventListener('click', (e) => {
+                const item = e.target.closest('li[data-person]');
+                if (item) {
+                    this.focusPerson(item.dataset.person);
+                }
+            });
+        }
+
+        // Place browser
+        const placesBtn = document.getElementById('places-btn');
+        const placesPanel = document.getElementById('places-panel');
+        const placesClose = document.getElementById('places-close');
+        const placesList = document.getElementById('places-list');
+        if (placesBtn && placesPanel) {
+            placesBtn.addEventListener('click', () => {
+                placesPanel.classList.toggle('visible');
+                document.getElementById('issues-panel').classList.remove('visible');
+            });
+        }
+        if (placesClose) {
+            placesClose.addEventListener('click', () => {
+                placesPanel.classList.remove('visible');
+            });
+        }
+        if (placesList) {
+            placesList.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-person]');
+                if (item) {
+                    this.focusPerson(item.dataset.person);
+                }
+            });
+        }
+
+        // Date calendar display
+        const dateCalendar = document.getElementById('date-calendar');
+        if (dateCalendar) {
+            dateCalendar.addEventListener('change', () => {
+                this.setDateCalendar(dateCalendar.value);
+            });
+        }
+
+        // Name display
+        const nameOrder = document.getElementById('name-order');
+        if (nameOrder) {
+            nameOrder.addEventListener('change', () => {
+                this.setNamePolicy({ order: nameOrder.value });
+            });
+        }
+        const nameNicknames = document.getElementById('name-nicknames');
+        if (nameNicknames) {
+            nameNicknames.addEventListener('change', () => {
+                this.setNamePolicy({ nickname: nameNicknames.checked ? 'quoted' : 'none' });
+            });
+        }
+        const nameBirth = document.getElementById('name-prefer-birth');
+        if (nameBirth) {
+            nameBirth.addEventListener('change', () => {
+                this.setNamePolicy({ preferTypes: nameBirth.checked ? ['birth', 'maiden'] : [] });
+            });
+        }
+
+        // Name search
+        const searchInput = document.getElementById('search-input');
+        const searchResults = document.getElementById('search-results');
+        if (searchInput && searchResults) {
+            searchInput.addEventListener('input', () => {
+                this.renderSearchResults(searchInput.value);
+            });
+            searchResults.addEventListener('click', (e) => {
+                const item = e.target.closest('li[data-person]');
+                if (item) {
+                    this.focusPerson(item.dataset.person);
+                    searchResults.classList.remove('visible');
+                }
+            });
+        }
+
         // Window resize
         window.addEventListener('resize', () => {
             this.handleResize();
@@ -148,6 +326,9 @@ class FamilyTreeVisualization {
             if (e.key === 'Escape') {
                 const infoModal = document.getElementById('info-modal');
                 infoModal.classList.remove('visible');
+                document.getElementById('csv-modal').classList.remove('visible');
+                document.getElementById('search-results').classList.remove('visible');
+                this.hideDetails();
             }
             if (e.key === 'r' || e.key === 'R') {
                 this.resetView();
@@ -160,6 +341,9 @@ class FamilyTreeVisualization {
      */
     loadDefaultGedcom() {
         if (typeof GEDCOM_DATA !== 'undefined' && GEDCOM_DATA) {
+            // The embedded data is family.ged, so its media sits next to that file
+            this.media.setBaseUrl(new URL('family.ged', document.baseURI).href);
+            this.fileEncoding = '';
             this.processGedcom(GEDCOM_DATA);
         } else {
             this.fetchGedcomFile();
@@ -175,8 +359,10 @@ class FamilyTreeVisualization {
             if (!response.ok) {
                 throw new Error('Could not load GEDCOM file');
             }
-            const content = await response.text();
-            this.processGedcom(content);
+            const { text, encoding } = GedcomEncoding.decode(new Uint8Array(await response.arrayBuffer()));
+            this.media.setBaseUrl(response.url);
+            this.fileEncoding = encoding;
+            this.processGedcom(text);
         } catch (error) {
             console.log('No default GEDCOM loaded. Use the info button to upload a file.');
             this.hideLoading();
@@ -196,17 +382,241 @@ class FamilyTreeVisualization {
      * Handle file from drop or input
      */
     handleFileFromDrop(file) {
+        // Spreadsheets need their columns mapped before anything can be shown
+        if (/\.(csv|tsv)$/i.test(file.name)) {
+            this.handleCsvFile(file);
+            return;
+        }
+
         this.showLoading();
 
+        // Local files have no URL, and files from the last folder or archive belong to the last tree
+        this.media.setBaseUrl(null);
+        this.media.clear();
+
+        // Read raw bytes so the encoding can be detected rather than assumed
+        const reader = new FileReader();
+        reader.onload = (e) => this.loadBytes(e.target.result);
+        reader.onerror = () => {
+            this.hideLoading();
+            alert('Error reading file');
+        };
+        reader.readAsArrayBuffer(file);
+    }
+
+    /**
+     * Read a CSV file and open the column mapping wizard for it
+     */
+    handleCsvFile(file) {
         const reader = new FileReader();
         reader.onload = (e) => {
-            this.processGedcom(e.target.result);
+            const { text, encoding } = GedcomEncoding.decode(new Uint8Array(e.target.result));
+            this.fileEncoding = encoding;
+            this.showCsvWizard(text);
         };
         reader.onerror = () => {
-            this.hideLoading();
             alert('Error reading file');
         };
-        reader.readAsText(file);
+        reader.readAsArrayBuffer(file);
+    }
+
+    /**
+     * Show the wizard for choosing which column holds each field,
+     * with the columns guessed from their headers and a preview of the first rows
+     * @param {string} text - The CSV contents
+     */
+    showCsvWizard(text) {
+        const { headers, rows } = CsvImporter.parse(text);
+        const count = rows.filter(row => row.some(Boolean)).length;
+        if (count === 0) {
+            alert('The spreadsheet has no rows to import');
+            return;
+        }
+        this.csv = { headers, rows };
+
+        const mapping = CsvImporter.guessMapping(headers);
+        const options = headers
+            .map((header, i) => `<option value="${i}">${this.escapeHtml(header || `Column ${i + 1}`)}</option>`)
+            .join('');
+        document.getElementById('csv-mapping').innerHTML = CsvImporter.FIELDS.map(field => `
+            <label>${field.label}
+                <select data-field="${field.key}">
+                    <option value="-1">(not in file)</option>${options}
+                </select>
+            </label>`).join('');
+        document.querySelectorAll('#csv-mapping select').forEach(select => {
+            select.value = mapping[select.dataset.field];
+        });
+
+        const cells = (row, tag) => headers
+            .map((header, i) => `<${tag}>${this.escapeHtml(row[i] || '')}</${tag}>`).join('');
+        document.getElementById('csv-preview').innerHTML = `
+            <table>
+                <thead><tr>${cells(headers, 'th')}</tr></thead>
+                <tbody>${rows.slice(0, 5).map(row => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody>
+            </table>
+            <p>${count} row${count === 1 ? '' : 's'}</p>`;
+
+        document.getElementById('csv-modal').classList.add('visible');
+    }
+
+    /**
+     * Import the spreadsheet with the columns chosen in the wizard
+     * Rows whose parents or spouse could not be found are listed in the problems panel
+     */
+    importCsv() {
+        const mapping = {};
+        document.querySelectorAll('#csv-mapping select').forEach(select => {
+            mapping[select.dataset.field] = Number(select.value);
+        });
+        if (mapping.name < 0 && mapping.id < 0) {
+            alert('Choose the column that holds the names');
+            return;
+        }
+
+        document.getElementById('csv-modal').classList.remove('visible');
+        this.showLoading();
+        this.media.setBaseUrl(null);
+        this.media.clear();
+
+        const { records, unlinked } = new CsvImporter(mapping).import(this.csv.rows);
+        this.processImport(records);
+        this.unlinkedRows = unlinked;
+        this.renderIssues();
+        if (unlinked.length > 0) {
+            document.getElementById('issues-panel').classList.add('visible');
+        }
+    }
+
+    /**
+     * Load a file of any supported format, recognised from its contents
+     * rather than its name: zip archives, gzip-compressed files (as .gramps
+     * files are), Gramps XML, GEDCOM X JSON and otherwise GEDCOM
+     * @param {ArrayBuffer} buffer - The file contents
+     */
+    async loadBytes(buffer) {
+        const bytes = new Uint8Array(buffer);
+        if (ZipArchive.isZip(bytes)) {
+            this.loadArchive(buffer);
+            return;
+        }
+
+        try {
+            if (bytes[0] === 0x1F && bytes[1] === 0x8B) {
+                const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+                this.loadBytes(await new Response(stream).arrayBuffer());
+                return;
+            }
+
+            const { text, encoding } = GedcomEncoding.decode(bytes);
+            this.fileEncoding = encoding;
+            if (GrampsImporter.isGramps(text)) {
+                const importer = new GrampsImporter();
+                this.processImport(importer.import(text));
+                this.importWarnings = importer.warnings;
+                this.renderIssues();
+            } else if (GedcomXImporter.isGedcomX(text)) {
+                this.processImport(new GedcomXImporter().import(text));
+            } else {
+                this.processGedcom(text);
+            }
+        } catch (error) {
+            console.error('Error reading file:', error);
+            this.hideLoading();
+            alert('Error reading file: ' + error.message);
+        }
+    }
+
+    /**
+     * Show records converted from another format by writing them as GEDCOM,
+     * so line numbers in problems refer to the GEDCOM a download would save
+     * @param {Array} records - Record nodes from an importer
+     */
+    processImport(records) {
+        this.processGedcom(new GedcomWriter().writeRecords(records));
+    }
+
+    /**
+     * Load a .gdz or .zip archive: the GEDCOM inside it and its bundled media
+     * @param {ArrayBuffer} buffer - The archive contents
+     */
+    async loadArchive(buffer) {
+        try {
+            const archive = ZipArchive.read(buffer);
+            const gedcom = archive.findGedcom();
+            if (!gedcom) {
+                throw new Error('The archive does not contain a GEDCOM file');
+            }
+
+            // OBJE FILE paths are relative to the archive, so bundled files replace any chosen folder
+            this.media.clear();
+            for (const entry of archive.getFiles()) {
+                if (entry !== gedcom) {
+                    this.media.addFile(entry.name, await archive.getBlob(entry));
+                }
+            }
+
+            const { text, encoding } = GedcomEncoding.decode(await archive.getBytes(gedcom));
+            this.fileEncoding = encoding;
+            this.processGedcom(text);
+        } catch (error) {
+            console.error('Error reading archive:', error);
+            this.hideLoading();
+            alert('Error reading archive: ' + error.message);
+        }
+    }
+
+    /**
+     * Save the loaded file as GEDCOM 5.5.1
+     */
+    downloadGedcom() {
+        const text = new GedcomWriter().write(this.parser);
+        const fileName = (this.parser.header.fileName || 'family-tree.ged').replace(/^.*[\\/]/, '');
+        this.downloadFile(text, fileName, 'text/plain;charset=utf-8');
+    }
+
+    /**
+     * Save the loaded file in one of ModelExporter.FORMATS
+     * @param {string} format - 'csv', 'json' or 'gedcomx'
+     */
+    downloadExport(format) {
+        const { extension, type } = ModelExporter.FORMATS[format];
+        const text = new ModelExporter(this.parser).export(format);
+        this.downloadFile(text, `${this.getExportName()}${extension}`, type);
+    }
+
+    /**
+     * Save the people and links shown in the tree, leaving out hidden links
+     * @param {string} format - 'dot' or 'mermaid'
+     */
+    downloadGraph(format) {
+        const { extension, type } = GraphExporter.FORMATS[format];
+        const text = new GraphExporter(this.nodes, this.links).export(format);
+        this.downloadFile(text, `${this.getExportName()}${extension}`, type);
+    }
+
+    /**
+     * Get the loaded file's name without folder or extension, for exported files
+     */
+    getExportName() {
+        return (this.parser.header.fileName || 'family-tree')
+            .replace(/^.*[\\/]/, '')
+            .replace(/\.[^.]*$/, '');
+    }
+
+    /**
+     * Offer text to the user as a file download
+     */
+    downloadFile(text, fileName, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Release the URL once the browser has started the download
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
 
     /**
@@ -215,18 +625,33 @@ class FamilyTreeVisualization {
     processGedcom(content) {
         try {
             this.parser = new GedcomParser();
+            this.parser.namePolicy = this.namePolicy;
+            this.unlinkedRows = [];
+            this.importWarnings = [];
             const data = this.parser.parse(content);
+            this.issues = new GedcomValidator(this.parser).validate(content);
+            const plausibility = new PlausibilityChecker(this.parser,
+                PlausibilityChecker.configFromHeader(this.parser.header.record, this.plausibilityConfig));
+            this.findings = plausibility.run();
             const graphData = this.parser.buildGraphData();
 
+            graphData.nodes.forEach(node => {
+                node.lifespan = this.parser.getLifespan(node.data, this.dateOptions);
+                node.findings = plausibility.getFindingsFor(node.id);
+            });
             this.nodes = graphData.nodes;
-            this.links = graphData.links;
-
-            // Calculate generations and positions
-            this.calculateGenerations();
-            this.calculatePositions();
+            this.allLinks = graphData.links;
 
-            this.render();
+            this.layout();
+            this.renderFileInfo();
+            this.renderIssues();
+            this.renderPlaces();
             this.hideLoading();
+
+            // Make header problems visible straight away
+            if (this.parser.warnings.length > 0) {
+                document.getElementById('info-modal').classList.add('visible');
+            }
         } catch (error) {
             console.error('Error parsing GEDCOM:', error);
             this.hideLoading();
@@ -234,6 +659,293 @@ class FamilyTreeVisualization {
         }
     }
 
+    /**
+     * List validation issues in the issues panel and update the button badge
+     */
+    renderIssues() {
+        const list = document.getElementById('issues-list');
+        const count = document.getElementById('issues-count');
+        if (!list) return;
+
+        const total = this.issues.length + this.findings.length + this.unlinkedRows.length + this.importWarnings.length;
+        const errors = [...this.issues, ...this.findings].filter(item => item.severity === 'error').length;
+        if (count) {
+            count.textContent = total;
+            count.classList.toggle('has-errors', errors > 0);
+            count.classList.toggle('hidden', total === 0);
+        }
+
+        if (total === 0) {
+            list.innerHTML = '<p class="issues-empty">No problems found.</p>';
+            return;
+        }
+
+        let html = '';
+        if (this.unlinkedRows.length > 0) {
+            html += `<h3>Spreadsheet rows not linked (${this.unlinkedRows.length})</h3><ul>`;
+            this.unlinkedRows.forEach(item => {
+                const row = `<span class="issue-line">Row ${item.row}</span>`;
+                html += this.formatIssue({ ...item, severity: 'warning' }, `${row}${this.escapeHtml(item.message)}`);
+            });
+            html += '</ul>';
+        }
+
+        if (this.importWarnings.length > 0) {
+            html += `<h3>Import (${this.importWarnings.length})</h3><ul>`;
+            this.importWarnings.forEach(item => {
+                html += this.formatIssue({ ...item, severity: 'warning' }, this.escapeHtml(item.message));
+            });
+            html += '</ul>';
+        }
+
+        if (this.issues.length > 0) {
+            const fileErrors = this.issues.filter(issue => issue.severity === 'error').length;
+            const fileWarnings = this.issues.length - fileErrors;
+            html += `<h3>File structure</h3><p class="issues-summary">${fileErrors} error${fileErrors === 1 ? '' : 's'}, `
+                + `${fileWarnings} warning${fileWarnings === 1 ? '' : 's'}</p><ul>`;
+            this.issues.forEach(issue => {
+                const line = issue.line ? `<span class="issue-line">Line ${issue.line}</span>` : '';
+                html += this.formatIssue(issue, `${line}${this.escapeHtml(issue.message)}`);
+            });
+            html += '</ul>';
+        }
+
+        // Plausibility findings, most severe first
+        const severityLabels = { error: 'Errors', warning: 'Warnings', info: 'Notices' };
+        PlausibilityChecker.SEVERITIES.forEach(severity => {
+            const findings = this.findings.filter(finding => finding.severity === severity);
+            if (findings.length === 0) return;
+
+            html += `<h3>Plausibility: ${severityLabels[severity]} (${findings.length})</h3><ul>`;
+            findings.forEach(finding => {
+                const individual = this.parser.individuals.get(finding.personId);
+                const name = individual ? `<span class="issue-line">${this.escapeHtml(this.parser.getDisplayName(individual))}</span>` : '';
+                html += this.formatIssue(finding, `${name}${this.escapeHtml(finding.message)}`);
+            });
+            html += '</ul>';
+        });
+
+        list.innerHTML = html;
+    }
+
+    /**
+     * List places in the place browser, each inside the place enclosing it,
+     * with the people born, married or died there
+     * Places where nothing happened, here or inside, are left out
+     */
+    renderPlaces() {
+        const list = document.getElementById('places-list');
+        if (!list) return;
+
+        const places = this.parser.getTopLevelPlaces()
+            .map(place => this.formatPlace(place))
+            .join('');
+        list.innerHTML = places
+            ? `<ul>${places}</ul>`
+            : '<p class="issues-empty">No places with births, marriages or deaths.</p>';
+    }
+
+    /**
+     * Format a place and the places inside it as a list item
+     * @returns {string} HTML, or '' if nothing happened in or inside the place
+     */
+    formatPlace(place) {
+        const inside = place.childIds
+            .map(id => this.parser.places.get(id))
+            .sort((a, b) => a.jurisdiction.localeCompare(b.jurisdiction))
+            .map(child => this.formatPlace(child))
+            .join('');
+        if (place.events.length === 0 && !inside) return '';
+
+        const level = place.level ? `<span class="issue-line">${this.escapeHtml(place.level)}</span>` : '';
+        const coordinates = place.latitude !== null
+            ? `<span class="place-coordinates">${place.latitude}, ${place.longitude}</span>`
+            : '';
+        const events = place.events.map(event => {
+            const names = event.personIds.map(id => {
+                const individual = this.parser.individuals.get(id);
+                const name = individual ? this.parser.getDisplayName(individual) : id;
+                return `<span class="place-person" data-person="${this.escapeHtml(id)}">${this.escapeHtml(name)}</span>`;
+            }).join(' &amp; ');
+            const date = GedcomDate.format(event.dateValue, this.dateOptions);
+            return `<li><span class="detail-label">${this.escapeHtml(event.label)}</span>${names}`
+                + `${date ? ` <span class="issue-line">${this.escapeHtml(date)}</span>` : ''}</li>`;
+        }).join('');
+
+        return `<li class="place"><span class="place-name">${this.escapeHtml(place.jurisdiction)}</span>${level}${coordinates}`
+            + (events ? `<ul class="place-events">${events}</ul>` : '')
+            + (inside ? `<ul>${inside}</ul>` : '')
+            + '</li>';
+    }
+
+    /**
+     * Format one issue or finding as a list item, clickable when it concerns a person
+     */
+    formatIssue(issue, content) {
+        const person = issue.personId ? ` data-person="${this.escapeHtml(issue.personId)}"` : '';
+        return `<li class="issue ${issue.severity}"${person}>${content}</li>`;
+    }
+
+    /**
+     * Centre the tree on a person and open their details
+     * @param {string} id - The person's xref
+     */
+    focusPerson(id) {
+        const node = this.nodes.find(n => n.id === id);
+        if (!node) return;
+
+        this.focusOnNode(node);
+        this.showDetails(node);
+    }
+
+    /**
+     * Show header metadata, record counts and warnings in the info modal
+     */
+    renderFileInfo() {
+        const fileInfo = document.getElementById('file-info');
+        if (!fileInfo) return;
+
+        const header = this.parser.header;
+        const submitter = header.submitter;
+        const source = header.source;
+        const rows = [
+            ['File', header.fileName],
+            ['Created by', source ? [source.name || source.id, source.version].filter(Boolean).join(' ') : ''],
+            ['Date', header.date],
+            ['GEDCOM', [header.gedcomVersion, header.gedcomForm].filter(Boolean).join(' ')],
+            ['Character set', header.charset],
+            ['Decoded as', this.fileEncoding],
+            ['Language', header.language],
+            ['Place format', header.placeForm],
+            ['Submitter', submitter ? submitter.name : ''],
+            ['Copyright', header.copyright]
+        ];
+
+        const counts = this.parser.getRecordCounts();
+        const countLabels = {
+            individuals: 'People',
+            families: 'Families',
+            sources: 'Sources',
+            repositories: 'Repositories',
+            notes: 'Notes',
+            media: 'Media',
+            submitters: 'Submitters'
+        };
+
+        let html = '<h3>Loaded file</h3><dl class="file-info-list">';
+        rows.filter(([, value]) => value).forEach(([label, value]) => {
+            html += `<dt>${label}</dt><dd>${this.escapeHtml(value)}</dd>`;
+        });
+        html += '</dl><dl class="file-info-list file-info-counts">';
+        Object.entries(counts).forEach(([key, count]) => {
+            html += `<dt>${countLabels[key]}</dt><dd>${count}</dd>`;
+        });
+        html += '</dl>';
+
+        if (this.parser.warnings.length > 0) {
+            html += '<ul class="file-warnings">';
+            this.parser.warnings.forEach(warning => {
+                const line = warning.line ? ` (line ${warning.line})` : '';
+                html += `<li>${this.escapeHtml(warning.message)}${line}</li>`;
+            });
+            html += '</ul>';
+        }
+
+        // Values whose entities or @@ escapes were decoded, grouped by record
+        const normalizations = this.parser.normalizations;
+        if (normalizations.length > 0) {
+            const byRecord = new Map();
+            normalizations.forEach(change => {
+                if (!byRecord.has(change.record)) byRecord.set(change.record, []);
+                byRecord.get(change.record).push(change);
+            });
+
+            html += `<details class="file-normalizations"><summary>Decoded escaped text in ${byRecord.size} record${byRecord.size === 1 ? '' : 's'}</summary><ul>`;
+            byRecord.forEach((changes, record) => {
+                html += `<li><strong>${this.escapeHtml(record)}</strong><ul>`;
+                changes.forEach(change => {
+                    html += `<li>${this.escapeHtml(change.tag)} (line ${change.line}): <code>${this.escapeHtml(change.original)}</code>`
+                        + ` → ${this.escapeHtml(change.value)}</li>`;
+                });
+                html += '</ul></li>';
+            });
+            html += '</ul></details>';
+        }
+
+        fileInfo.innerHTML = html;
+    }
+
+    /**
+     * Apply link filters, position every node and render the tree
+     */
+    layout() {
+        this.links = this.allLinks.filter(link => !this.hiddenLinkStatuses.has(link.status));
+
+        // Calculate generations and positions
+        this.calculateGenerations();
+        this.calculatePositions();
+
+        this.render();
+    }
+
+    /**
+     * Show or hide parent-child links with the given status
+     */
+    setLinkStatusHidden(status, hidden) {
+        if (hidden) {
+            this.hiddenLinkStatuses.add(status);
+        } else {
+            this.hiddenLinkStatuses.delete(status);
+        }
+        this.layout();
+    }
+
+    /**
+     * Switch between original-calendar and Gregorian date display
+     */
+    setDateCalendar(calendar) {
+        this.dateOptions = { calendar };
+        this.nodes.forEach(node => {
+            node.lifespan = this.parser.getLifespan(node.data, this.dateOptions);
+        });
+        this.render();
+        this.renderPlaces();
+    }
+
+    /**
+     * Change how names are chosen and written, and re-render
+     * @param {Object} changes - Fields of GedcomParser.DEFAULT_NAME_POLICY to change
+     */
+    setNamePolicy(changes) {
+        this.namePolicy = { ...this.namePolicy, ...changes };
+        this.parser.namePolicy = this.namePolicy;
+        this.nodes.forEach(node => {
+            node.name = this.parser.getDisplayName(node.data);
+        });
+        this.render();
+        this.renderPlaces();
+    }
+
+    /**
+     * List people whose names or name variants match the search text
+     * The variant that matched is shown when it is not the displayed name
+     */
+    renderSearchResults(query) {
+        const results = document.getElementById('search-results');
+        const matches = this.parser.searchIndividuals(query);
+        results.classList.toggle('visible', query.trim() !== '');
+
+        if (matches.length === 0) {
+            results.innerHTML = '<li class="search-empty">No matches</li>';
+            return;
+        }
+        results.innerHTML = matches.slice(0, FamilyTreeVisualization.SEARCH_LIMIT).map(({ individual, variant }) => {
+            const name = this.parser.getDisplayName(individual);
+            const matched = variant !== name ? ` <span class="search-variant">${this.escapeHtml(variant)}</span>` : '';
+            return `<li data-person="${this.escapeHtml(individual.id)}">${this.escapeHtml(name)}${matched}</li>`;
+        }).join('');
+    }
+
     /**
      * Calculate generation numbers for each person
      * Uses birth dates when available, falls back to family relationships
@@ -295,8 +1007,8 @@ class FamilyTreeVisualization {
         // Handle disconnected nodes (people not connected to any tree)
         this.nodes.forEach(node => {
             if (!this.generations.has(node.id)) {
-                // Try to estimate from birth year if available
-                const birthYear = this.extractYear(node.birth?.date);
+                // Try to estimate from birth year if available, counting era years from their era
+                const birthYear = node.birth ? GedcomDate.getYear(node.birth.dateValue) : null;
                 if (birthYear) {
                     // Rough estimate: generation = (birthYear - 1000) / 25
                     const estimatedGen = Math.floor((birthYear - 1000) / 30);
@@ -319,15 +1031,6 @@ class FamilyTreeVisualization {
         }
     }
 
-    /**
-     * Extract year from a date string
-     */
-    extractYear(dateStr) {
-        if (!dateStr) return null;
-        const match = dateStr.match(/\b(\d{3,4})\b/);
-        return match ? parseInt(match[1], 10) : null;
-    }
-
     /**
      * Calculate x,y positions for all nodes
      */
@@ -475,6 +1178,20 @@ class FamilyTreeVisualization {
             return;
         }
 
+        // Circular clip for portraits, in each card's own coordinates
+        const portraitX = -this.config.nodeWidth / 2 + this.config.portraitRadius + 6;
+        this.svg.append('defs')
+            .append('clipPath')
+            .attr('id', 'portrait-clip')
+            .append('circle')
+            .attr('cx', portraitX)
+            .attr('cy', 0)
+            .attr('r', this.config.portraitRadius);
+
+        this.nodes.forEach(node => {
+            node.portraitUrl = node.portrait ? this.media.resolve(node.portrait.file.file) : null;
+        });
+
         // Create node lookup for links
         const nodeById = new Map();
         this.nodes.forEach(node => nodeById.set(node.id, node));
@@ -498,7 +1215,7 @@ class FamilyTreeVisualization {
             .data(validLinks)
             .enter()
             .append('path')
-            .attr('class', d => `link ${d.type}`)
+            .attr('class', d => this.linkClass(d))
             .attr('d', d => this.linkPath(d));
 
         // Render nodes
@@ -511,11 +1228,20 @@ class FamilyTreeVisualization {
             .attr('transform', d => `translate(${d.x}, ${d.y})`)
             .on('mouseenter', (event, d) => this.showTooltip(event, d))
             .on('mouseleave', () => this.hideTooltip())
-            .on('click', (event, d) => this.focusOnNode(d));
+            .on('click', (event, d) => {
+                this.focusOnNode(d);
+                this.showDetails(d);
+            });
 
         // Add card background
         this.nodeElements.append('rect')
-            .attr('class', d => `person-card ${d.sex === 'M' ? 'male' : d.sex === 'F' ? 'female' : ''}`)
+            .attr('class', d => {
+                const classes = ['person-card'];
+                if (d.sex === 'M') classes.push('male');
+                if (d.sex === 'F') classes.push('female');
+                if (d.weakFacts.length > 0) classes.push('low-evidence');
+                return classes.join(' ');
+            })
             .attr('width', this.config.nodeWidth)
             .attr('height', this.config.nodeHeight)
             .attr('x', -this.config.nodeWidth / 2)
@@ -523,17 +1249,72 @@ class FamilyTreeVisualization {
             .attr('rx', this.config.nodeRadius)
             .attr('ry', this.config.nodeRadius);
 
+        // Add portrait thumbnail
+        const portraitSize = this.config.portraitRadius * 2;
+        this.nodeElements.filter(d => d.portraitUrl)
+            .append('image')
+            .attr('class', 'person-portrait')
+            .attr('href', d => d.portraitUrl)
+            .attr('x', portraitX - this.config.portraitRadius)
+            .attr('y', -this.config.portraitRadius)
+            .attr('width', portraitSize)
+            .attr('height', portraitSize)
+            .attr('preserveAspectRatio', 'xMidYMid slice')
+            .attr('clip-path', 'url(#portrait-clip)');
+
+        // Text moves right of the portrait when there is one
+        const textX = d => d.portraitUrl ? this.config.portraitRadius + 3 : 0;
+
         // Add name text
         this.nodeElements.append('text')
             .attr('class', 'person-name')
+            .attr('x', textX)
             .attr('dy', d => d.lifespan ? -4 : 4)
-            .text(d => this.truncateName(d.name, 18));
+            .text(d => this.truncateName(d.name, d.portraitUrl ? 13 : 18));
 
         // Add lifespan text
         this.nodeElements.append('text')
             .attr('class', 'person-dates')
+            .attr('x', textX)
             .attr('dy', 12)
-            .text(d => d.lifespan ? this.truncateName(d.lifespan, 20) : '');
+            .text(d => d.lifespan ? this.truncateName(d.lifespan, d.portraitUrl ? 15 : 20) : '');
+
+        // Flag people with facts supported only by low quality sources
+        this.nodeElements.filter(d => d.weakFacts.length > 0)
+            .append('text')
+            .attr('class', 'evidence-badge')
+            .attr('x', this.config.nodeWidth / 2 - 10)
+            .attr('y', -this.config.nodeHeight / 2 + 12)
+            .text('?')
+            .append('title')
+            .text(d => `Weak evidence: ${d.weakFacts.join(', ')}`);
+
+        // Flag people whose dates or relationships look implausible
+        this.nodeElements.filter(d => d.findings.length > 0)
+            .append('text')
+            .attr('class', d => {
+                const severity = PlausibilityChecker.SEVERITIES.find(s => d.findings.some(f => f.severity === s));
+                return `plausibility-badge ${severity}`;
+            })
+            .attr('x', d => this.config.nodeWidth / 2 - (d.weakFacts.length > 0 ? 22 : 10))
+            .attr('y', -this.config.nodeHeight / 2 + 12)
+            .text('!')
+            .append('title')
+            .text(d => d.findings.map(f => f.message).join('\n'));
+    }
+
+    /**
+     * Build the CSS class list for a link
+     */
+    linkClass(d) {
+        const classes = ['link', d.type];
+        if (d.pedigree && d.pedigree !== 'birth') {
+            classes.push(`pedigree-${d.pedigree}`);
+        }
+        if (d.status) {
+            classes.push(`status-${d.status}`);
+        }
+        return classes.join(' ');
     }
 
     /**
@@ -563,56 +1344,59 @@ class FamilyTreeVisualization {
         const tooltip = document.getElementById('tooltip');
         const data = d.data;
 
-        let html = `<h3>${d.name}</h3>`;
+        let html = `<h3>${this.escapeHtml(d.name)}</h3>`;
 
         if (d.sex) {
             const sexLabel = d.sex === 'M' ? 'Male' : d.sex === 'F' ? 'Female' : d.sex;
             html += `<div class="tooltip-row">
                 <span class="tooltip-label">Sex:</span>
-                <span class="tooltip-value ${d.sex === 'M' ? 'male' : 'female'}">${sexLabel}</span>
-            </div>`;
-        }
-
-        if (d.birth?.date) {
-            html += `<div class="tooltip-row">
-                <span class="tooltip-label">Birth:</span>
-                <span class="tooltip-value">${d.birth.date}${d.birth.place ? ' in ' + d.birth.place : ''}</span>
+                <span class="tooltip-value ${d.sex === 'M' ? 'male' : 'female'}">${this.escapeHtml(sexLabel)}</span>
             </div>`;
         }
 
-        if (d.death?.date) {
+        this.parser.getPersonEvents(data).forEach(event => {
+            const detail = this.formatEvent(event, data);
+            if (!detail) return;
             html += `<div class="tooltip-row">
-                <span class="tooltip-label">Death:</span>
-                <span class="tooltip-value">${d.death.date}${d.death.place ? ' in ' + d.death.place : ''}</span>
+                <span class="tooltip-label">${this.escapeHtml(event.label)}:</span>
+                <span class="tooltip-value">${this.escapeHtml(detail)}</span>
             </div>`;
-        }
+        });
 
         if (d.nationality) {
             html += `<div class="tooltip-row">
                 <span class="tooltip-label">Nationality:</span>
-                <span class="tooltip-value">${d.nationality}</span>
+                <span class="tooltip-value">${this.escapeHtml(d.nationality)}</span>
             </div>`;
         }
 
         if (d.occupation) {
             html += `<div class="tooltip-row">
                 <span class="tooltip-label">Occupation:</span>
-                <span class="tooltip-value">${d.occupation}</span>
+                <span class="tooltip-value">${this.escapeHtml(d.occupation)}</span>
             </div>`;
         }
 
         if (d.titles && d.titles.length > 0) {
             html += `<div class="tooltip-row">
                 <span class="tooltip-label">Titles:</span>
-                <span class="tooltip-value">${d.titles.join(', ')}</span>
+                <span class="tooltip-value">${this.escapeHtml(d.titles.join(', '))}</span>
             </div>`;
         }
 
         if (data.names && data.names.length > 1) {
-            const altNames = data.names.slice(1).map(n => n.full).join(', ');
+            const preferred = this.parser.getPreferredName(data);
+            const altNames = data.names.filter(n => n !== preferred).map(n => n.full).join(', ');
             html += `<div class="tooltip-row">
                 <span class="tooltip-label">Also:</span>
-                <span class="tooltip-value">${altNames}</span>
+                <span class="tooltip-value">${this.escapeHtml(altNames)}</span>
+            </div>`;
+        }
+
+        if (data.notes && data.notes.length > 0) {
+            html += `<div class="tooltip-row">
+                <span class="tooltip-label">Notes:</span>
+                <span class="tooltip-value tooltip-notes">${this.escapeHtml(data.notes.join('\n\n'))}</span>
             </div>`;
         }
 
@@ -626,6 +1410,221 @@ class FamilyTreeVisualization {
         tooltip.classList.add('visible');
     }
 
+    /**
+     * Show the detail panel for a person
+     */
+    showDetails(d) {
+        const panel = document.getElementById('detail-panel');
+        const content = document.getElementById('detail-content');
+        if (!panel || !content) return;
+
+        const data = d.data;
+        let html = `<h2>${this.escapeHtml(d.name)}</h2>`;
+
+        const gallery = this.formatGallery(data);
+        if (gallery) {
+            html += gallery;
+        }
+
+        html += '<h3>Names</h3><ul class="detail-list">';
+        data.names.forEach(name => {
+            html += `<li>${this.formatName(name)}${this.formatCitations(name.sources)}</li>`;
+        });
+        html += '</ul>';
+
+        const events = this.parser.getPersonEvents(data);
+        if (events.length > 0) {
+            html += '<h3>Events</h3><ul class="detail-list">';
+            events.forEach(event => {
+                const weak = this.parser.isWeaklySourced(event.sources) ? ' weak' : '';
+                html += `<li class="detail-event${weak}">
+                    <span class="detail-label">${this.escapeHtml(event.label)}</span>
+                    ${this.escapeHtml(this.formatEvent(event, data))}
+                    ${event.notes.map(note => `<p class="detail-note">${this.escapeHtml(note)}</p>`).join('')}
+                    ${this.formatCitations(event.sources)}
+                </li>`;
+            });
+            html += '</ul>';
+        }
+
+        if (d.findings.length > 0) {
+            html += '<h3>Plausibility</h3><ul class="detail-list">';
+            d.findings.forEach(finding => {
+                html += `<li class="issue ${finding.severity}">${this.escapeHtml(finding.message)}</li>`;
+            });
+            html += '</ul>';
+        }
+
+        if (data.sources.length > 0) {
+            html += `<h3>Sources</h3>${this.formatCitations(data.sources)}`;
+        }
+
+        if (data.notes.length > 0) {
+            html += '<h3>Notes</h3>';
+            data.notes.forEach(note => {
+                html += `<p class="detail-note">${this.escapeHtml(note)}</p>`;
+            });
+        }
+
+        data.familySpouse.forEach(famId => {
+            const family = this.parser.families.get(famId);
+            if (!family || family.notes.length === 0) return;
+
+            const spouseId = family.husband === data.id ? family.wife : family.husband;
+            const spouse = spouseId ? this.parser.individuals.get(spouseId) : null;
+            html += `<h3>Family notes${spouse ? ` (with ${this.escapeHtml(this.parser.getDisplayName(spouse))})` : ''}</h3>`;
+            family.notes.forEach(note => {
+                html += `<p class="detail-note">${this.escapeHtml(note)}</p>`;
+            });
+        });
+
+        content.innerHTML = html;
+        panel.classList.add('visible');
+    }
+
+    /**
+     * Format an individual's media as a gallery of images and file links
+     */
+    formatGallery(individual) {
+        const items = [];
+        individual.media.forEach(link => {
+            if (!link.media) return;
+            link.media.files.forEach(file => {
+                const url = this.escapeHtml(this.media.resolve(file.file));
+                const title = this.escapeHtml(link.title || file.title || link.media.title || file.file);
+                if (url && this.parser.isImageFile(file)) {
+                    items.push(`<figure>
+                        <a href="${url}" target="_blank" rel="noopener"><img src="${url}" alt="${title}"></a>
+                        <figcaption>${title}</figcaption>
+                    </figure>`);
+                } else if (url) {
+                    items.push(`<figure><a href="${url}" target="_blank" rel="noopener">${title}</a></figure>`);
+                } else {
+                    items.push(`<figure class="missing" title="File not found: ${this.escapeHtml(file.file)}">${title}</figure>`);
+                }
+            });
+        });
+
+        if (items.length === 0) return '';
+        return `<h3>Media</h3><div class="detail-gallery">${items.join('')}</div>`;
+    }
+
+    /**
+     * Hide the detail panel
+     */
+    hideDetails() {
+        const panel = document.getElementById('detail-panel');
+        if (panel) {
+            panel.classList.remove('visible');
+        }
+    }
+
+    /**
+     * Format a list of citations as HTML
+     */
+    formatCitations(citations) {
+        if (!citations || citations.length === 0) return '';
+
+        const items = citations.map(citation => {
+            const weak = this.parser.isWeaklySourced([citation]) ? ' class="weak"' : '';
+            return `<li${weak}>${this.formatCitation(citation)}</li>`;
+        });
+        return `<ul class="detail-citations">${items.join('')}</ul>`;
+    }
+
+    /**
+     * Format one citation: source, page, repository, quality and quoted text
+     */
+    formatCitation(citation) {
+        const source = citation.source;
+        const parts = [];
+
+        if (source) {
+            parts.push(source.title || source.abbreviation || source.id);
+            if (source.author) parts.push(source.author);
+        } else {
+            parts.push(citation.description || citation.sourceId || 'Unknown source');
+        }
+        if (citation.page) parts.push(citation.page);
+
+        let html = this.escapeHtml(parts.join(', '));
+
+        const repositories = source ? source.repositories.filter(link => link.repository) : [];
+        if (repositories.length > 0) {
+            const names = repositories.map(link => link.repository.name || link.repository.id);
+            html += ` (${this.escapeHtml(names.join(', '))})`;
+        }
+        if (citation.quality !== null) {
+            html += ` <span class="detail-quality">${GedcomParser.QUALITY_LABELS[citation.quality]}</span>`;
+        }
+        citation.text.forEach(text => {
+            html += `<blockquote>${this.escapeHtml(text)}</blockquote>`;
+        });
+        [...citation.notes, ...(source ? source.notes : [])].forEach(note => {
+            html += `<p class="detail-note">${this.escapeHtml(note)}</p>`;
+        });
+        return html;
+    }
+
+    /**
+     * Format a name for the detail panel: its type, the name, its nickname
+     * and pieces, and its romanised, phonetic and translated variants
+     * @returns {string} HTML
+     */
+    formatName(name) {
+        const type = name.type
+            ? `<span class="detail-label">${this.escapeHtml(name.typePhrase || GedcomParser.NAME_TYPES[name.type] || name.type)}</span>`
+            : '';
+        // Pieces are only listed when they say more than the slashes in the name
+        const parsed = this.parser.parseName(name.value);
+        const hasPieces = name.prefix || name.nickname || name.surnamePrefix
+            || name.given !== parsed.given || name.surname !== parsed.surname || name.suffix !== parsed.suffix;
+        const pieces = !hasPieces ? '' : [
+            ['Prefix', name.prefix],
+            ['Given', name.given],
+            ['Nickname', name.nickname],
+            ['Surname prefix', name.surnamePrefix],
+            ['Surname', name.surname],
+            ['Suffix', name.suffix]
+        ]
+            .filter(([, value]) => value)
+            .map(([label, value]) => `${label}: ${this.escapeHtml(value)}`)
+            .join(' · ');
+        const variants = name.variants.map(variant => {
+            const kind = GedcomParser.NAME_VARIANTS[variant.kind];
+            const label = variant.method ? `${kind} (${variant.method})` : kind;
+            return `<li><span class="detail-label">${this.escapeHtml(label)}</span>${this.escapeHtml(variant.full)}</li>`;
+        }).join('');
+
+        return `${type}${this.escapeHtml(name.full)}`
+            + (pieces ? `<p class="detail-note">${pieces}</p>` : '')
+            + (variants ? `<ul class="detail-list">${variants}</ul>` : '');
+    }
+
+    /**
+     * Format the details of an event as one line of text
+     * @param {Object} event - Event from the parser
+     * @param {Object} individual - The person the event is shown for
+     */
+    formatEvent(event, individual) {
+        const parts = [];
+        if (event.value && event.value !== 'Y') parts.push(event.value);
+        if (event.spouse) parts.push(`with ${this.parser.getDisplayName(event.spouse)}`);
+        const date = GedcomDate.format(event.dateValue, this.dateOptions);
+        if (date) parts.push(date);
+        if (event.place) parts.push(`in ${event.place}`);
+        if (event.cause) parts.push(`(${event.cause})`);
+
+        if (event.type === 'DEAT') {
+            const age = this.parser.getAgeAt(individual, event.dateValue);
+            if (age !== null && age >= 0) {
+                const exact = GedcomDate.isExact(event.dateValue) && GedcomDate.isExact(individual.birth.dateValue);
+                parts.push(exact ? `aged ${age}` : `aged about ${age}`);
+            }
+        }
+        return parts.join(' ');
+    }
+
     /**
      * Hide tooltip
      */
@@ -726,8 +1725,27 @@ class FamilyTreeVisualization {
         if (name.length <= maxLength) return name;
         return name.substring(0, maxLength - 2) + '...';
     }
+
+    /**
+     * Escape text for insertion into HTML markup or attribute values
+     */
+    escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        return String(text).replace(/[&<>"']/g, char => FamilyTreeVisualization.HTML_ESCAPES[char]);
+    }
 }
 
+FamilyTreeVisualization.HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+// Most people listed by the name search
+FamilyTreeVisualization.SEARCH_LIMIT = 50;
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.familyTree = new FamilyTreeVisualization();
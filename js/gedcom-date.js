@@ -0,0 +1,523 @@
+/**
+ * GEDCOM Date
+ * Parses GEDCOM 5.5.1 and 7.0 date values into structured, comparable objects
+ * Gregorian, Julian, Hebrew, French Republican and Roman dates share one
+ * Julian Day Number scale for ordering and age calculation
+ * Years may be relative to an era from EraCalendarRegistry (e.g. "TA 2124")
+ */
+
+class GedcomDate {
+    /**
+     * Parse a GEDCOM date value
+     * @param {string} text - The DATE line value
+     * @param {Object|null} era - Era the years count from, or null for plain years
+     * @returns {Object} Date with qualifier, start, end, precision, phrase and original text
+     */
+    static parse(text, era = null) {
+        const original = (text || '').trim();
+        const date = {
+            original,
+            qualifier: null,
+            start: null,
+            end: null,
+            precision: null,
+            phrase: '',
+            valid: false
+        };
+        if (!original) return date;
+
+        // Date phrases: (text) or INT <date> (text)
+        let body = original;
+        const phraseMatch = original.match(/^(?:(INT)\s+(.*?)\s*)?\((.*)\)$/i);
+        if (phraseMatch) {
+            date.phrase = phraseMatch[3].trim();
+            if (!phraseMatch[1]) {
+                date.valid = true;
+                return date;
+            }
+            date.qualifier = 'INT';
+            body = phraseMatch[2];
+        }
+
+        const upper = body.toUpperCase().replace(/\s+/g, ' ');
+        let match;
+
+        if ((match = upper.match(/^BET (.+?) AND (.+)$/))) {
+            date.qualifier = 'BET';
+            date.start = this.parsePoint(match[1], era);
+            date.end = this.parsePoint(match[2], era);
+            date.valid = !!(date.start && date.end);
+        } else if ((match = upper.match(/^FROM (.+?)(?: TO (.+))?$/))) {
+            date.qualifier = 'FROM';
+            date.start = this.parsePoint(match[1], era);
+            date.end = match[2] ? this.parsePoint(match[2], era) : null;
+            date.valid = !!(date.start && (!match[2] || date.end));
+        } else if ((match = upper.match(/^(BEF|TO) (.+)$/))) {
+            date.qualifier = match[1];
+            date.end = this.parsePoint(match[2], era);
+            date.valid = !!date.end;
+        } else if ((match = upper.match(/^(ABT|CAL|EST|AFT) (.+)$/))) {
+            date.qualifier = match[1];
+            date.start = this.parsePoint(match[2], era);
+            date.valid = !!date.start;
+        } else {
+            date.start = this.parsePoint(upper, era);
+            date.valid = !!date.start;
+        }
+
+        const point = date.start || date.end;
+        date.precision = point ? point.precision : null;
+        return date;
+    }
+
+    /**
+     * Parse a single calendar date: [@#Dcalendar@ | CALENDAR] [[day] month] year[/dual] [B.C.]
+     * @param {string} text - Upper-case date text
+     * @param {Object|null} era - Era the year counts from
+     * @returns {Object|null} Date point, or null if the text is not a date
+     */
+    static parsePoint(text, era = null) {
+        let calendar = 'gregorian';
+        // 5.5.1 escapes the calendar (@#DJULIAN@); GEDCOM 7 names it (JULIAN, FRENCH_R)
+        const escape = text.trim().match(/^@#D([A-Z ]+?)@ ?(.*)$/) ||
+            text.trim().match(/^(GREGORIAN|JULIAN|HEBREW|FRENCH_R) (.*)$/);
+        if (escape) {
+            const name = escape[1].trim().replace('_', ' ');
+            calendar = Object.keys(GedcomDate.CALENDARS)
+                .find(key => GedcomDate.CALENDARS[key].escape === name);
+            if (!calendar) return null;
+            text = escape[2];
+            // Era offsets only apply to plain Gregorian years
+            era = null;
+        }
+
+        const match = text.trim().match(/^(?:(?:(\d{1,2}) )?([A-Z]{3,4}) )?(\d+)(?:\/(\d{2,4}))?(?: ?(B\.C\.|BC|BCE))?$/);
+        if (!match) return null;
+
+        const day = match[1] ? parseInt(match[1], 10) : null;
+        const month = match[2] ? GedcomDate.CALENDARS[calendar].months.indexOf(match[2]) + 1 : null;
+        const year = parseInt(match[3], 10);
+        if (month === 0) return null;
+        if (day !== null && (day < 1 || day > 31)) return null;
+
+        // Dual years give the new-style year, e.g. 1749/50 is 1750, 1709/10 is 1710
+        // and 1699/00 is 1700: a dual year not after the year rolls over the century
+        let dualYear = null;
+        if (match[4]) {
+            if (calendar !== 'gregorian') return null;
+            const digits = match[4];
+            dualYear = parseInt(String(year).slice(0, -digits.length) + digits, 10);
+            if (dualYear <= year && digits.length < String(year).length) dualYear += 10 ** digits.length;
+        }
+
+        const point = {
+            calendar,
+            year,
+            month,
+            day,
+            dualYear,
+            bc: !!match[5],
+            era,
+            precision: day ? 'day' : month ? 'month' : 'year'
+        };
+        point.jdn = this.pointToJdn(point, false);
+        point.jdnEnd = this.pointToJdn(point, true);
+
+        // The day must fall in the month, e.g. no 31 FEB, and no 30 ADR in a common Hebrew year
+        if (day !== null && point.jdn !== null) {
+            const month = { ...point, day: null };
+            if (day > this.pointToJdn(month, true) - this.pointToJdn(month, false) + 1) return null;
+        }
+        return point;
+    }
+
+    /**
+     * Convert a date point to a Julian Day Number
+     * @param {Object} point - Parsed date point
+     * @param {boolean} last - Use the last day the point covers instead of the first
+     * @returns {number|null} The day number, or null for unknown calendars
+     */
+    static pointToJdn(point, last) {
+        const calendar = point.calendar;
+        if (calendar === 'unknown') return null;
+
+        // Astronomical year numbering: 1 B.C. is year 0
+        let year = point.dualYear || point.year;
+        if (point.bc) year = 1 - year;
+
+        // Era years are placed on the absolute timeline
+        if (point.era) {
+            year = Math.floor(point.era.offset + year * point.era.scale);
+        }
+
+        if (!last) {
+            return this.calendarToJdn(calendar, year, point.month || 1, point.day || 1);
+        }
+        if (point.day) return this.calendarToJdn(calendar, year, point.month, point.day);
+        if (point.month) {
+            const next = this.nextMonth(calendar, year, point.month);
+            return this.calendarToJdn(calendar, next.year, next.month, 1) - 1;
+        }
+        return this.calendarToJdn(calendar, year + 1, 1, 1) - 1;
+    }
+
+    /**
+     * Convert a date in any supported calendar to a Julian Day Number
+     * Months are numbered in the order GEDCOM lists them for the calendar
+     */
+    static calendarToJdn(calendar, year, month, day) {
+        switch (calendar) {
+            case 'julian': return this.julianToJdn(year, month, day);
+            // Roman years are counted ab urbe condita on the Julian calendar
+            case 'roman': return this.julianToJdn(year - 753, month, day);
+            case 'hebrew': return this.hebrewToJdn(year, month, day);
+            case 'french': return this.frenchToJdn(year, month, day);
+            default: return this.gregorianToJdn(year, month, day);
+        }
+    }
+
+    /**
+     * Get the month following the given one, rolling over into the next year
+     */
+    static nextMonth(calendar, year, month) {
+        let next = month + 1;
+        // Adar Sheni only exists in Hebrew leap years
+        if (calendar === 'hebrew' && next === 7 && !this.isHebrewLeapYear(year)) next++;
+        if (next > GedcomDate.CALENDARS[calendar].months.length) {
+            return { year: year + 1, month: 1 };
+        }
+        return { year, month: next };
+    }
+
+    /**
+     * Convert a proleptic Gregorian date to a Julian Day Number
+     */
+    static gregorianToJdn(year, month, day) {
+        const a = Math.floor((14 - month) / 12);
+        const y = year + 4800 - a;
+        const m = month + 12 * a - 3;
+        return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) -
+            Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+    }
+
+    /**
+     * Convert a Julian calendar date to a Julian Day Number
+     */
+    static julianToJdn(year, month, day) {
+        const a = Math.floor((14 - month) / 12);
+        const y = year + 4800 - a;
+        const m = month + 12 * a - 3;
+        return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - 32083;
+    }
+
+    /**
+     * Convert a Hebrew date to a Julian Day Number
+     * @param {number} month - GEDCOM month number, Tishrei (TSH) = 1 ... Elul (ELL) = 13
+     */
+    static hebrewToJdn(year, month, day) {
+        // Months counted from Nisan = 1, with Adar Sheni = 13
+        const m = [7, 8, 9, 10, 11, 12, 13, 1, 2, 3, 4, 5, 6][month - 1];
+        const monthsInYear = this.isHebrewLeapYear(year) ? 13 : 12;
+        let jdn = this.hebrewNewYear(year) + day - 1;
+
+        if (m < 7) {
+            for (let i = 7; i <= monthsInYear; i++) jdn += this.hebrewMonthDays(year, i);
+            for (let i = 1; i < m; i++) jdn += this.hebrewMonthDays(year, i);
+        } else {
+            for (let i = 7; i < m; i++) jdn += this.hebrewMonthDays(year, i);
+        }
+        return jdn;
+    }
+
+    /**
+     * Julian Day Number of 1 Tishrei of a Hebrew year
+     */
+    static hebrewNewYear(year) {
+        const elapsed = year => {
+            const months = Math.floor((235 * year - 234) / 19);
+            const parts = 12084 + 13753 * months;
+            let day = months * 29 + Math.floor(parts / 25920);
+            if ((3 * (day + 1)) % 7 < 3) day++;
+            return day;
+        };
+
+        const present = elapsed(year);
+        let delay = 0;
+        if (elapsed(year + 1) - present === 356) {
+            delay = 2;
+        } else if (present - elapsed(year - 1) === 382) {
+            delay = 1;
+        }
+        return 347998 + present + delay;
+    }
+
+    /**
+     * Whether a Hebrew year has thirteen months
+     */
+    static isHebrewLeapYear(year) {
+        return (7 * year + 1) % 19 < 7;
+    }
+
+    /**
+     * Days in a Hebrew month, with months counted from Nisan = 1
+     */
+    static hebrewMonthDays(year, month) {
+        if ([2, 4, 6, 10, 13].includes(month)) return 29;
+        if (month === 12 && !this.isHebrewLeapYear(year)) return 29;
+
+        const yearDays = this.hebrewNewYear(year + 1) - this.hebrewNewYear(year);
+        if (month === 8 && yearDays % 10 !== 5) return 29;
+        if (month === 9 && yearDays % 10 === 3) return 29;
+        return 30;
+    }
+
+    /**
+     * Convert a French Republican date to a Julian Day Number
+     * Uses the sextile years of the Republic (3, 7, 11)
+     */
+    static frenchToJdn(year, month, day) {
+        return Math.floor(year * 1461 / 4) + (month - 1) * 30 + day + 2375474;
+    }
+
+    /**
+     * Convert a Julian Day Number to a proleptic Gregorian date
+     */
+    static jdnToGregorian(jdn) {
+        const a = jdn + 32044;
+        const b = Math.floor((4 * a + 3) / 146097);
+        const c = a - Math.floor(146097 * b / 4);
+        const d = Math.floor((4 * c + 3) / 1461);
+        const e = c - Math.floor(1461 * d / 4);
+        const m = Math.floor((5 * e + 2) / 153);
+        return {
+            day: e - Math.floor((153 * m + 2) / 5) + 1,
+            month: m + 3 - 12 * Math.floor(m / 10),
+            year: 100 * b + d - 4800 + Math.floor(m / 10)
+        };
+    }
+
+    /**
+     * Get a numeric key for ordering dates, or null if the date has no point in time
+     * BEF and TO sort just before their date, AFT just after it
+     */
+    static sortKey(date) {
+        if (!date || !date.valid) return null;
+
+        if (date.qualifier === 'BEF' || date.qualifier === 'TO') {
+            return date.end.jdn !== null ? date.end.jdn - 1 : null;
+        }
+        if (date.qualifier === 'AFT') {
+            return date.start.jdnEnd !== null ? date.start.jdnEnd + 1 : null;
+        }
+        return date.start ? date.start.jdn : null;
+    }
+
+    /**
+     * Get the span of days a date could fall on
+     * Open-ended dates (BEF, AFT, FROM without TO) extend to infinity
+     * @returns {Object|null} { earliest, latest } day numbers, or null if unknown
+     */
+    static range(date) {
+        if (!date || !date.valid) return null;
+
+        const start = date.start;
+        const end = date.end;
+        let earliest;
+        let latest;
+
+        switch (date.qualifier) {
+            case 'BEF':
+                earliest = -Infinity;
+                latest = end.jdn !== null ? end.jdn - 1 : null;
+                break;
+            case 'TO':
+                earliest = -Infinity;
+                latest = end.jdnEnd;
+                break;
+            case 'AFT':
+                earliest = start.jdnEnd !== null ? start.jdnEnd + 1 : null;
+                latest = Infinity;
+                break;
+            case 'BET':
+            case 'FROM':
+                earliest = start.jdn;
+                latest = end ? end.jdnEnd : Infinity;
+                break;
+            default:
+                if (!start) return null;
+                earliest = start.jdn;
+                latest = start.jdnEnd;
+        }
+
+        if (earliest === null || latest === null) return null;
+        return { earliest, latest };
+    }
+
+    /**
+     * Compare two parsed dates for sorting; dates without a key sort last
+     */
+    static compare(a, b) {
+        const keyA = this.sortKey(a);
+        const keyB = this.sortKey(b);
+        if (keyA === null && keyB === null) return 0;
+        if (keyA === null) return 1;
+        if (keyB === null) return -1;
+        return keyA - keyB;
+    }
+
+    /**
+     * Get the (astronomical) Gregorian year a date sorts at, or null
+     */
+    static getYear(date) {
+        const key = this.sortKey(date);
+        return key === null ? null : this.jdnToGregorian(Math.round(key)).year;
+    }
+
+    /**
+     * Get the number of whole years between two parsed dates, or null
+     */
+    static age(from, to) {
+        const start = this.sortKey(from);
+        const end = this.sortKey(to);
+        if (start === null || end === null) return null;
+        // Count the end day itself so anniversaries complete a year
+        return Math.floor((end - start + 1) / 365.2425);
+    }
+
+    /**
+     * Whether a date is a single known day rather than an estimate, range or bare year
+     */
+    static isExact(date) {
+        return !!(date && date.valid && date.start && date.precision === 'day' &&
+            (!date.qualifier || date.qualifier === 'INT'));
+    }
+
+    /**
+     * Format a parsed date for display
+     * @param {Object} date - Parsed date
+     * @param {Object} options - { calendar: 'original' | 'gregorian' }
+     */
+    static format(date, options = {}) {
+        if (!date || !date.original) return '';
+        if (!date.valid) return date.original;
+        if (!date.start && !date.end) return date.phrase;
+
+        const start = date.start ? this.formatPoint(date.start, options) : '';
+        const end = date.end ? this.formatPoint(date.end, options) : '';
+        let text;
+
+        switch (date.qualifier) {
+            case 'ABT': text = `abt. ${start}`; break;
+            case 'CAL': text = `calc. ${start}`; break;
+            case 'EST': text = `est. ${start}`; break;
+            case 'AFT': text = `after ${start}`; break;
+            case 'BEF': text = `before ${end}`; break;
+            case 'TO': text = `to ${end}`; break;
+            case 'BET': text = `between ${start} and ${end}`; break;
+            case 'FROM': text = end ? `from ${start} to ${end}` : `from ${start}`; break;
+            default: text = start;
+        }
+
+        // INT dates, and GEDCOM 7 dates with a PHRASE, show the original wording
+        if (date.phrase) {
+            text += ` (${date.phrase})`;
+        }
+        return text;
+    }
+
+    /**
+     * Format a single date point for display, in its own calendar
+     * or converted to Gregorian
+     */
+    static formatPoint(point, options = {}) {
+        if (options.calendar === 'gregorian' && point.calendar !== 'gregorian' && point.jdn !== null) {
+            return this.formatPoint(this.toGregorianPoint(point));
+        }
+
+        const calendar = GedcomDate.CALENDARS[point.calendar];
+        const parts = [];
+        if (point.era) parts.push(point.era.code);
+        if (point.day) parts.push(point.day);
+        if (point.month) parts.push(calendar.names[point.month - 1]);
+
+        let year = String(point.year);
+        if (point.dualYear) year += '/' + String(point.dualYear).slice(-2);
+        parts.push(year);
+        if (point.bc) parts.push('BC');
+        if (point.calendar !== 'gregorian') parts.push(`(${calendar.label})`);
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Convert a date point to the Gregorian calendar, keeping its precision
+     * Months and years are converted at their midpoint so they do not
+     * slip into the previous Gregorian month or year
+     */
+    static toGregorianPoint(point) {
+        const jdn = point.day ? point.jdn : Math.floor((point.jdn + point.jdnEnd) / 2);
+        const gregorian = this.jdnToGregorian(jdn);
+        const bc = gregorian.year <= 0;
+        return {
+            ...point,
+            calendar: 'gregorian',
+            year: bc ? 1 - gregorian.year : gregorian.year,
+            month: point.month ? gregorian.month : null,
+            day: point.day ? gregorian.day : null,
+            dualYear: null,
+            bc
+        };
+    }
+}
+
+GedcomDate.MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+GedcomDate.MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Calendars selectable with a @#D...@ escape, with their GEDCOM month codes
+GedcomDate.CALENDARS = {
+    gregorian: {
+        escape: 'GREGORIAN',
+        label: 'Gregorian',
+        months: GedcomDate.MONTHS,
+        names: GedcomDate.MONTH_NAMES
+    },
+    julian: {
+        escape: 'JULIAN',
+        label: 'Julian',
+        months: GedcomDate.MONTHS,
+        names: GedcomDate.MONTH_NAMES
+    },
+    hebrew: {
+        escape: 'HEBREW',
+        label: 'Hebrew',
+        months: ['TSH', 'CSH', 'KSL', 'TVT', 'SHV', 'ADR', 'ADS', 'NSN', 'IYR', 'SVN', 'TMZ', 'AAV', 'ELL'],
+        names: ['Tishrei', 'Cheshvan', 'Kislev', 'Tevet', 'Shevat', 'Adar', 'Adar II', 'Nisan', 'Iyar',
+            'Sivan', 'Tammuz', 'Av', 'Elul']
+    },
+    french: {
+        escape: 'FRENCH R',
+        label: 'French Republican',
+        months: ['VEND', 'BRUM', 'FRIM', 'NIVO', 'PLUV', 'VENT', 'GERM', 'FLOR', 'PRAI', 'MESS', 'THER',
+            'FRUC', 'COMP'],
+        names: ['Vendémiaire', 'Brumaire', 'Frimaire', 'Nivôse', 'Pluviôse', 'Ventôse', 'Germinal',
+            'Floréal', 'Prairial', 'Messidor', 'Thermidor', 'Fructidor', 'Sans-culottides']
+    },
+    roman: {
+        escape: 'ROMAN',
+        label: 'Roman',
+        months: GedcomDate.MONTHS,
+        names: GedcomDate.MONTH_NAMES
+    },
+    unknown: {
+        escape: 'UNKNOWN',
+        label: 'Unknown calendar',
+        months: GedcomDate.MONTHS,
+        names: GedcomDate.MONTH_NAMES
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GedcomDate;
+}
@@ -0,0 +1,145 @@
+/**
+ * GEDCOM Encoding
+ * Detects the character encoding of GEDCOM bytes and decodes them to text
+ */
+
+class GedcomEncoding {
+    /**
+     * Decode the raw bytes of a GEDCOM file
+     * The byte order mark wins, then UTF-16 byte patterns, then the header's CHAR value
+     * @param {Uint8Array} bytes - The file contents
+     * @returns {Object} { text, encoding } with the name of the encoding used
+     */
+    static decode(bytes) {
+        const bom = this.detectBom(bytes);
+        if (bom) {
+            return { text: new TextDecoder(bom).decode(bytes), encoding: bom.toUpperCase() };
+        }
+
+        // UTF-16 without a BOM still starts with "0 HEAD", one zero byte per character
+        if (bytes.length >= 2 && bytes[0] === 0x30 && bytes[1] === 0x00) {
+            return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'UTF-16LE' };
+        }
+        if (bytes.length >= 2 && bytes[0] === 0x00 && bytes[1] === 0x30) {
+            return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'UTF-16BE' };
+        }
+
+        const declared = this.readDeclaredCharset(bytes);
+        switch (declared) {
+            case 'ANSEL':
+                return { text: this.decodeAnsel(bytes), encoding: 'ANSEL' };
+            case 'ANSI':
+            case 'ASCII':
+                // ASCII files from desktop programs are usually Windows-1252 in practice
+                return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'Windows-1252' };
+            case 'MACINTOSH':
+                return { text: new TextDecoder('macintosh').decode(bytes), encoding: 'Macintosh' };
+            default:
+                return this.decodeUtf8(bytes);
+        }
+    }
+
+    /**
+     * Get the encoding named by a byte order mark, or null
+     */
+    static detectBom(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+        return null;
+    }
+
+    /**
+     * Read the 1 CHAR value from the HEAD record of ASCII-compatible bytes
+     * @returns {string} Upper-case charset name, or '' if none is declared
+     */
+    static readDeclaredCharset(bytes) {
+        // Latin-1 maps every byte to one character, so the ASCII header reads safely
+        const head = new TextDecoder('latin1').decode(bytes.subarray(0, 65536));
+        const lines = head.split(/\r\n|\r|\n/);
+
+        for (let i = 1; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (/^0\s/.test(line)) break;
+
+            const match = line.match(/^1\s+CHAR\s+(\S+)/);
+            if (match) return match[1].toUpperCase();
+        }
+        return '';
+    }
+
+    /**
+     * Decode UTF-8, falling back to Windows-1252 when the bytes are not valid UTF-8
+     */
+    static decodeUtf8(bytes) {
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+        } catch (error) {
+            return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'Windows-1252' };
+        }
+    }
+
+    /**
+     * Decode ANSEL (ANSI Z39.47) bytes
+     * ANSEL writes combining diacritics before their base letter; Unicode
+     * writes them after, so they are held back and emitted after the next letter
+     */
+    static decodeAnsel(bytes) {
+        let text = '';
+        let pending = '';
+
+        for (let i = 0; i < bytes.length; i++) {
+            const byte = bytes[i];
+
+            if (GedcomEncoding.ANSEL_COMBINING[byte]) {
+                pending += GedcomEncoding.ANSEL_COMBINING[byte];
+                continue;
+            }
+
+            let char;
+            if (byte < 0x80) {
+                char = String.fromCharCode(byte);
+            } else {
+                char = GedcomEncoding.ANSEL_SPACING[byte] || '\uFFFD';
+            }
+
+            // Diacritics never apply across line breaks
+            if (char === '\r' || char === '\n') {
+                text += pending + char;
+            } else {
+                text += char + pending;
+            }
+            pending = '';
+        }
+
+        return (text + pending).normalize('NFC');
+    }
+}
+
+// ANSEL spacing characters, including the GEDCOM additions
+GedcomEncoding.ANSEL_SPACING = {
+    0xA1: 'Ł', 0xA2: 'Ø', 0xA3: 'Đ', 0xA4: 'Þ', 0xA5: 'Æ',
+    0xA6: 'Œ', 0xA7: 'ʹ', 0xA8: '·', 0xA9: '♭', 0xAA: '®',
+    0xAB: '±', 0xAC: 'Ơ', 0xAD: 'Ư', 0xAE: 'ʼ', 0xB0: 'ʻ',
+    0xB1: 'ł', 0xB2: 'ø', 0xB3: 'đ', 0xB4: 'þ', 0xB5: 'æ',
+    0xB6: 'œ', 0xB7: 'ʺ', 0xB8: 'ı', 0xB9: '£', 0xBA: 'ð',
+    0xBC: 'ơ', 0xBD: 'ư', 0xBE: '□', 0xBF: '■', 0xC0: '°',
+    0xC1: 'ℓ', 0xC2: '℗', 0xC3: '©', 0xC4: '♯', 0xC5: '¿',
+    0xC6: '¡', 0xC7: 'ß', 0xC8: '€', 0xCD: 'e', 0xCE: 'o',
+    0xCF: 'ß'
+};
+
+// ANSEL combining diacritics and their Unicode combining marks
+GedcomEncoding.ANSEL_COMBINING = {
+    0xE0: '\u0309', 0xE1: '\u0300', 0xE2: '\u0301', 0xE3: '\u0302', 0xE4: '\u0303',
+    0xE5: '\u0304', 0xE6: '\u0306', 0xE7: '\u0307', 0xE8: '\u0308', 0xE9: '\u030C',
+    0xEA: '\u030A', 0xEB: '\uFE20', 0xEC: '\uFE21', 0xED: '\u0315', 0xEE: '\u030B',
+    0xEF: '\u0310', 0xF0: '\u0327', 0xF1: '\u0328', 0xF2: '\u0323', 0xF3: '\u0324',
+    0xF4: '\u0325', 0xF5: '\u0333', 0xF6: '\u0332', 0xF7: '\u0326', 0xF8: '\u031C',
+    0xF9: '\u032E', 0xFA: '\uFE22', 0xFB: '\uFE23', 0xFE: '\u0313'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GedcomEncoding;
+}
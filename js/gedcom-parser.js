@@ -1,13 +1,36 @@
 /**
  * GEDCOM Parser
- * Parses GEDCOM 5.5.1 format files into JavaScript objects
+ * Parses GEDCOM 5.5.1 and 7.0 format files into JavaScript objects
  */
 
+// Helper modules are loaded by <script> tags in the browser; require each one missing under Node
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof GedcomDate === 'undefined') global.GedcomDate = require('./gedcom-date');
+    if (typeof EraCalendarRegistry === 'undefined') global.EraCalendarRegistry = require('./era-calendars');
+}
+
 class GedcomParser {
     constructor() {
         this.individuals = new Map();
         this.families = new Map();
         this.header = {};
+        this.sources = new Map();
+        this.repositories = new Map();
+        this.notes = new Map();
+        this.media = new Map();
+        this.submitters = new Map();
+        this.places = new Map();
+        this.placeForm = [];
+        this.warnings = [];
+        this.citations = [];
+        this.mediaLinks = [];
+        this.records = [];
+        this.normalizations = [];
+        this.version = '';
+        this.calendars = new EraCalendarRegistry();
+
+        // How getDisplayName picks and writes a person's name
+        this.namePolicy = { ...GedcomParser.DEFAULT_NAME_POLICY };
     }
 
     /**
@@ -16,75 +39,177 @@ class GedcomParser {
      * @returns {Object} Parsed data with individuals and families
      */
     parse(content) {
-        const lines = content.split(/\r?\n/);
-        let currentRecord = null;
-        let currentLevel = 0;
+        // The version decides how lines are read, so it is needed before the tree is built
+        this.version = this.detectVersion(content);
+        this.records = this.buildRecordTree(content);
+        this.normalizeRecords(this.records);
+
+        // Eras declared in the header apply to every date in the file
+        const head = this.records.find(record => record.tag === 'HEAD');
+        this.calendars.configureFromHeader(head);
+
+        // So does the header PLAC FORM, for places without a FORM of their own
+        this.placeForm = this.parsePlaceForm(head ? this.getChild(head, 'PLAC') : null);
+
+        this.records.forEach(record => this.processRecord(record));
+        this.resolveReferences();
+        this.indexPlaceEvents();
+        this.checkHeader();
+
+        return {
+            individuals: this.individuals,
+            families: this.families,
+            sources: this.sources,
+            repositories: this.repositories,
+            notes: this.notes,
+            media: this.media,
+            submitters: this.submitters,
+            places: this.places,
+            header: this.header,
+            warnings: this.warnings,
+            normalizations: this.normalizations,
+            version: this.version,
+            records: this.records
+        };
+    }
+
+    /**
+     * Read the GEDCOM version from the HEAD record's GEDC VERS line
+     * @param {string} content - The GEDCOM file content
+     * @returns {string} The declared version, or '' if there is none
+     */
+    detectVersion(content) {
+        const lines = content.split(/\r\n|\r|\n/);
+        let inGedc = false;
+
+        for (let i = 0; i < lines.length; i++) {
+            const parsed = this.parseLine(lines[i].replace(/^\s+/, ''));
+            if (!parsed) continue;
+
+            // The header ends at the next level 0 record
+            if (parsed.level === 0 && parsed.tag !== 'HEAD') break;
+            if (parsed.level === 1) {
+                inGedc = parsed.tag === 'GEDC';
+            } else if (inGedc && parsed.level === 2 && parsed.tag === 'VERS') {
+                return parsed.value.trim();
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Whether the file being parsed is GEDCOM 7
+     */
+    isGedcom7() {
+        return /^7\./.test(this.version);
+    }
+
+    /**
+     * Build a lossless node tree for every level 0 record.
+     * Each node keeps its level, xref, tag, value, source line number
+     * and subordinate nodes, so nothing in the file is dropped.
+     * CONC and CONT lines are folded into the value they continue;
+     * GEDCOM 7 removed CONC, so there it stays an ordinary line.
+     * @param {string} content - The GEDCOM file content
+     * @returns {Array} Level 0 record nodes in file order
+     */
+    buildRecordTree(content) {
+        const lines = content.split(/\r\n|\r|\n/);
+        const records = [];
+        const foldsConc = !this.isGedcom7();
         let stack = [];
 
         for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
+            // Only strip leading whitespace: trailing spaces are significant in CONC values
+            const line = lines[i].replace(/^\s+/, '');
             if (!line) continue;
 
             const parsed = this.parseLine(line);
             if (!parsed) continue;
 
-            const { level, xref, tag, value } = parsed;
-
-            // Level 0 records start new entities
-            if (level === 0) {
-                this.saveCurrentRecord(currentRecord);
-
-                if (xref && tag === 'INDI') {
-                    currentRecord = {
-                        type: 'INDI',
-                        id: xref,
-                        names: [],
-                        sex: '',
-                        birth: null,
-                        death: null,
-                        occupation: '',
-                        nationality: '',
-                        titles: [],
-                        notes: [],
-                        familyChild: null,
-                        familySpouse: []
-                    };
-                } else if (xref && tag === 'FAM') {
-                    currentRecord = {
-                        type: 'FAM',
-                        id: xref,
-                        husband: null,
-                        wife: null,
-                        children: [],
-                        marriage: null,
-                        divorce: null
-                    };
-                } else if (tag === 'HEAD') {
-                    currentRecord = { type: 'HEAD' };
-                } else {
-                    currentRecord = null;
-                }
-                stack = [{ level: 0, tag, record: currentRecord }];
-            } else if (currentRecord) {
-                // Process subordinate lines
-                while (stack.length > 0 && stack[stack.length - 1].level >= level) {
-                    stack.pop();
-                }
+            const node = { ...parsed, line: i + 1, children: [] };
+            const isContinuation = node.tag === 'CONT' || (node.tag === 'CONC' && foldsConc);
 
-                const parent = stack.length > 0 ? stack[stack.length - 1] : null;
-                this.processTag(currentRecord, level, tag, value, parent);
-                stack.push({ level, tag, value, record: currentRecord });
+            // Level 0 lines start new records
+            if (node.level === 0) {
+                records.push(node);
+                stack = [node];
+                continue;
             }
+
+            while (stack.length > 0 && stack[stack.length - 1].level >= node.level) {
+                stack.pop();
+            }
+
+            // Subordinate lines before the first record have no owner
+            if (stack.length === 0) continue;
+
+            // Continuation lines extend the value of the line they belong to
+            if (isContinuation) {
+                const owner = stack[stack.length - 1];
+                owner.value += (node.tag === 'CONT' ? '\n' : '') + node.value;
+                continue;
+            }
+
+            stack[stack.length - 1].children.push(node);
+            stack.push(node);
         }
 
-        // Save the last record
-        this.saveCurrentRecord(currentRecord);
+        // Values are trimmed once folded, so a space before a CONC break survives
+        const trim = node => {
+            node.value = node.value.replace(/^[ \t]+|[ \t]+$/g, '');
+            node.children.forEach(trim);
+        };
+        records.forEach(trim);
+        return records;
+    }
 
-        return {
-            individuals: this.individuals,
-            families: this.families,
-            header: this.header
+    /**
+     * Decode escaped text in every value to plain Unicode, recording each change.
+     * Runs after continuation lines are folded, so escapes split by CONC decode whole.
+     * @param {Array} records - Level 0 record nodes
+     */
+    normalizeRecords(records) {
+        const visit = (node, record) => {
+            const value = this.decodeValue(node.value);
+            if (value !== node.value) {
+                this.normalizations.push({
+                    record: record.xref || record.tag,
+                    tag: node.tag,
+                    line: node.line,
+                    original: node.value,
+                    value
+                });
+                node.value = value;
+            }
+            node.children.forEach(child => visit(child, record));
         };
+        records.forEach(record => visit(record, record));
+    }
+
+    /**
+     * Decode HTML entities, line break markup and GEDCOM @@ escapes in a value
+     * @param {string} value - Raw line value
+     * @returns {string} Plain text
+     */
+    decodeValue(value) {
+        if (!value || !/[&@]/.test(value)) return value;
+
+        return value
+            .replace(/&(#[0-9]+|#x[0-9a-f]+|[a-z][a-z0-9]*);/gi, (entity, name) => {
+                if (name[0] === '#') {
+                    const code = name[1] === 'x' || name[1] === 'X'
+                        ? parseInt(name.slice(2), 16)
+                        : parseInt(name.slice(1), 10);
+                    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+                }
+                const char = GedcomParser.HTML_ENTITIES[name.toLowerCase()];
+                return char !== undefined ? char : entity;
+            })
+            // Entity-encoded <br/> from web exports is a line break
+            .replace(/<br\s*\/?>/gi, '\n')
+            // A doubled @ stands for one literal @; GEDCOM 7 only doubles a leading @
+            .replace(this.isGedcom7() ? /^@@/ : /@@/g, '@');
     }
 
     /**
@@ -94,7 +219,8 @@ class GedcomParser {
         // GEDCOM line format: LEVEL [XREF] TAG [VALUE]
         // Example: 0 @I1@ INDI
         // Example: 1 NAME John /Doe/
-        const match = line.match(/^(\d+)\s+(?:(@[^@]+@)\s+)?(\S+)(?:\s+(.*))?$/);
+        // Example: 2 CONC tinued text
+        const match = line.match(/^(\d+)\s+(?:(@[^@]+@)\s+)?(\S+)(?:[ \t](.*))?\s*$/);
         if (!match) return null;
 
         return {
@@ -106,114 +232,873 @@ class GedcomParser {
     }
 
     /**
-     * Process a tag and add data to the current record
+     * Get the first subordinate node with the given tag
+     */
+    getChild(node, tag) {
+        return node.children.find(child => child.tag === tag) || null;
+    }
+
+    /**
+     * Get all subordinate nodes with the given tag
+     */
+    getChildren(node, tag) {
+        return node.children.filter(child => child.tag === tag);
+    }
+
+    /**
+     * Get the value of the first subordinate node with the given tag
+     */
+    getChildValue(node, tag) {
+        const child = this.getChild(node, tag);
+        return child ? child.value : '';
+    }
+
+    /**
+     * Derive convenience objects from a level 0 record node
      */
-    processTag(record, level, tag, value, parent) {
-        if (record.type === 'INDI') {
-            this.processIndividualTag(record, level, tag, value, parent);
-        } else if (record.type === 'FAM') {
-            this.processFamilyTag(record, level, tag, value, parent);
+    processRecord(record) {
+        if (record.xref && record.tag === 'INDI') {
+            const individual = this.buildIndividual(record);
+            this.individuals.set(individual.id, individual);
+        } else if (record.xref && record.tag === 'FAM') {
+            const family = this.buildFamily(record);
+            this.families.set(family.id, family);
+        } else if (record.xref && record.tag === 'SOUR') {
+            const source = this.buildSource(record);
+            this.sources.set(source.id, source);
+        } else if (record.xref && record.tag === 'REPO') {
+            const repository = this.buildRepository(record);
+            this.repositories.set(repository.id, repository);
+        } else if (record.xref && (record.tag === 'NOTE' || record.tag === 'SNOTE')) {
+            const note = this.buildNote(record);
+            this.notes.set(note.id, note);
+        } else if (record.xref && record.tag === 'OBJE') {
+            const media = this.buildMedia(record);
+            this.media.set(media.id, media);
+        } else if (record.xref && record.tag === 'SUBM') {
+            const submitter = this.buildSubmitter(record);
+            this.submitters.set(submitter.id, submitter);
+        } else if (record.tag === 'HEAD') {
+            this.header = this.buildHeader(record);
         }
     }
 
     /**
-     * Process tags for INDI records
-     */
-    processIndividualTag(record, level, tag, value, parent) {
-        const parentTag = parent ? parent.tag : null;
-
-        switch (tag) {
-            case 'NAME':
-                record.names.push(this.parseName(value));
-                break;
-            case 'SEX':
-                record.sex = value;
-                break;
-            case 'BIRT':
-                record.birth = { date: '', place: '', type: '' };
-                break;
-            case 'DEAT':
-                record.death = { date: '', place: '', type: '' };
-                break;
-            case 'DATE':
-                if (parentTag === 'BIRT' && record.birth) {
-                    record.birth.date = value;
-                } else if (parentTag === 'DEAT' && record.death) {
-                    record.death.date = value;
-                }
-                break;
-            case 'PLAC':
-                if (parentTag === 'BIRT' && record.birth) {
-                    record.birth.place = value;
-                } else if (parentTag === 'DEAT' && record.death) {
-                    record.death.place = value;
-                }
-                break;
-            case 'TYPE':
-                if (parentTag === 'BIRT' && record.birth) {
-                    record.birth.type = value;
-                } else if (parentTag === 'DEAT' && record.death) {
-                    record.death.type = value;
-                }
-                break;
-            case 'OCCU':
-                record.occupation = value;
-                break;
-            case 'NATI':
-                record.nationality = value;
-                break;
-            case 'TITL':
-                record.titles.push(value);
-                break;
-            case 'NOTE':
-                record.notes.push(value);
-                break;
-            case 'FAMC':
-                record.familyChild = value;
-                break;
-            case 'FAMS':
-                record.familySpouse.push(value);
-                break;
+     * Build the header from the HEAD record node
+     */
+    buildHeader(record) {
+        const source = this.getChild(record, 'SOUR');
+        const gedc = this.getChild(record, 'GEDC');
+        const char = this.getChild(record, 'CHAR');
+        const date = this.getChild(record, 'DATE');
+        const plac = this.getChild(record, 'PLAC');
+
+        return {
+            type: 'HEAD',
+            source: source ? {
+                id: source.value,
+                name: this.getChildValue(source, 'NAME'),
+                version: this.getChildValue(source, 'VERS'),
+                corporation: this.getChildValue(source, 'CORP'),
+                data: this.getChildValue(source, 'DATA')
+            } : null,
+            destination: this.getChildValue(record, 'DEST'),
+            date: date ? [date.value, this.getChildValue(date, 'TIME')].filter(Boolean).join(' ') : '',
+            submitterId: this.parsePointer(this.getChildValue(record, 'SUBM')),
+            submitter: null,
+            fileName: this.getChildValue(record, 'FILE'),
+            copyright: this.getChildValue(record, 'COPR'),
+            gedcomVersion: gedc ? this.getChildValue(gedc, 'VERS') : '',
+            gedcomForm: gedc ? this.getChildValue(gedc, 'FORM') : '',
+            charset: char ? char.value : '',
+            charsetVersion: char ? this.getChildValue(char, 'VERS') : '',
+            language: this.getChildValue(record, 'LANG'),
+            placeForm: plac ? this.getChildValue(plac, 'FORM') : '',
+            note: this.getChildValue(record, 'NOTE'),
+            schema: this.parseSchema(this.getChild(record, 'SCHMA')),
+            record
+        };
+    }
+
+    /**
+     * Read GEDCOM 7 extension tag definitions: SCHMA with TAG <tag> <URI> lines
+     * @returns {Object} Extension tag to URI
+     */
+    parseSchema(node) {
+        const schema = {};
+        if (!node) return schema;
+
+        this.getChildren(node, 'TAG').forEach(tag => {
+            const [name, ...uri] = tag.value.split(/\s+/);
+            schema[name] = uri.join(' ');
+        });
+        return schema;
+    }
+
+    /**
+     * Build a submitter from a SUBM record node
+     */
+    buildSubmitter(record) {
+        return {
+            type: 'SUBM',
+            id: record.xref,
+            name: this.getChildValue(record, 'NAME'),
+            address: this.getChildValue(record, 'ADDR'),
+            phone: this.getChildValue(record, 'PHON'),
+            email: this.getChildValue(record, 'EMAIL'),
+            website: this.getChildValue(record, 'WWW'),
+            language: this.getChildValue(record, 'LANG'),
+            notes: this.parseNotes(record),
+            record
+        };
+    }
+
+    /**
+     * Read record identifiers: GEDCOM 7 UID and EXID, and the older _UID
+     * @returns {Object} { uids, externalIds } where externalIds are { id, type }
+     */
+    parseIdentifiers(record) {
+        return {
+            uids: [...this.getChildren(record, 'UID'), ...this.getChildren(record, '_UID')]
+                .map(node => node.value),
+            externalIds: this.getChildren(record, 'EXID').map(node => ({
+                id: node.value,
+                type: this.getChildValue(node, 'TYPE')
+            }))
+        };
+    }
+
+    /**
+     * Warn about headers this parser cannot fully honour
+     */
+    checkHeader() {
+        const header = this.header;
+        const line = header.record ? header.record.line : null;
+
+        if (!header.record) {
+            this.warnings.push({ message: 'File has no HEAD record', line: null });
+            return;
+        }
+
+        const version = header.gedcomVersion;
+        if (!version) {
+            this.warnings.push({ message: 'Header does not declare a GEDCOM version (GEDC VERS)', line });
+        } else if (!GedcomParser.SUPPORTED_VERSIONS.some(supported => version === supported || version.startsWith(`${supported}.`))) {
+            this.warnings.push({
+                message: `GEDCOM version ${version} is not supported; expected ${GedcomParser.SUPPORTED_VERSIONS.join(' or ')}`,
+                line
+            });
+        }
+
+        const charset = header.charset.toUpperCase();
+        if (charset && !GedcomParser.SUPPORTED_CHARSETS.includes(charset)) {
+            this.warnings.push({
+                message: `Character set ${header.charset} is not supported; some characters may display incorrectly`,
+                line
+            });
         }
     }
 
     /**
-     * Process tags for FAM records
-     */
-    processFamilyTag(record, level, tag, value, parent) {
-        const parentTag = parent ? parent.tag : null;
-
-        switch (tag) {
-            case 'HUSB':
-                record.husband = value;
-                break;
-            case 'WIFE':
-                record.wife = value;
-                break;
-            case 'CHIL':
-                record.children.push(value);
-                break;
-            case 'MARR':
-                record.marriage = { date: '', place: '' };
-                break;
-            case 'DIV':
-                record.divorce = { date: '', place: '' };
-                break;
-            case 'DATE':
-                if (parentTag === 'MARR' && record.marriage) {
-                    record.marriage.date = value;
-                } else if (parentTag === 'DIV' && record.divorce) {
-                    record.divorce.date = value;
-                }
-                break;
-            case 'PLAC':
-                if (parentTag === 'MARR' && record.marriage) {
-                    record.marriage.place = value;
-                } else if (parentTag === 'DIV' && record.divorce) {
-                    record.divorce.place = value;
-                }
-                break;
+     * Count the records of each kind in the file
+     */
+    getRecordCounts() {
+        return {
+            individuals: this.individuals.size,
+            families: this.families.size,
+            sources: this.sources.size,
+            repositories: this.repositories.size,
+            notes: this.notes.size,
+            media: this.media.size,
+            submitters: this.submitters.size
+        };
+    }
+
+    /**
+     * Link pointers to the records they point at once every record is built
+     */
+    resolveReferences() {
+        this.citations.forEach(citation => {
+            citation.source = citation.sourceId ? this.sources.get(citation.sourceId) || null : null;
+        });
+
+        if (this.header.submitterId) {
+            this.header.submitter = this.submitters.get(this.header.submitterId) || null;
+        }
+
+        this.mediaLinks.forEach(link => {
+            if (link.mediaId) {
+                link.media = this.media.get(link.mediaId) || null;
+            }
+        });
+
+        this.sources.forEach(source => {
+            source.repositories.forEach(link => {
+                link.repository = this.repositories.get(link.repositoryId) || null;
+            });
+        });
+
+        const resolveNotes = owner => {
+            owner.notes = this.resolveNotes(owner.notes);
+        };
+        this.individuals.forEach(individual => {
+            resolveNotes(individual);
+            individual.events.forEach(resolveNotes);
+        });
+        this.families.forEach(family => {
+            resolveNotes(family);
+            family.events.forEach(resolveNotes);
+        });
+        this.sources.forEach(resolveNotes);
+        this.repositories.forEach(resolveNotes);
+        this.citations.forEach(resolveNotes);
+        this.media.forEach(resolveNotes);
+        this.submitters.forEach(resolveNotes);
+        // Inline media has its own notes; a @VOID@ link has no media at all
+        this.mediaLinks.forEach(link => {
+            if (!link.mediaId && link.media) resolveNotes(link.media);
+        });
+    }
+
+    /**
+     * Replace note pointers with the text of the NOTE records they point at
+     * Pointers to missing records are dropped rather than shown as raw xrefs
+     */
+    resolveNotes(notes) {
+        return notes
+            .map(note => {
+                if (!this.isPointer(note)) return note;
+                const record = this.notes.get(note);
+                return record ? record.text : null;
+            })
+            .filter(note => note !== null);
+    }
+
+    /**
+     * Get the notes directly under a node, as text or note pointers
+     * GEDCOM 7 points at shared notes with SNOTE instead of NOTE
+     */
+    parseNotes(node) {
+        return node.children
+            .filter(child => child.tag === 'NOTE' || child.tag === 'SNOTE')
+            .map(note => note.value);
+    }
+
+    /**
+     * Whether a value is a pointer to a record (@XREF@)
+     */
+    isPointer(value) {
+        return /^@[^@]+@$/.test(value);
+    }
+
+    /**
+     * Read a pointer value; GEDCOM 7's @VOID@ null pointer reads as no pointer
+     * @returns {string|null} The xref, or null
+     */
+    parsePointer(value) {
+        return this.isPointer(value) && value !== GedcomParser.VOID_POINTER ? value : null;
+    }
+
+    /**
+     * Get the GEDCOM 7 PHRASE (free text wording) under a node, or ''
+     */
+    getPhrase(node) {
+        return node ? this.getChildValue(node, 'PHRASE') : '';
+    }
+
+    /**
+     * Build an individual from an INDI record node
+     */
+    buildIndividual(record) {
+        const individual = {
+            type: 'INDI',
+            id: record.xref,
+            names: [],
+            sex: '',
+            birth: null,
+            death: null,
+            occupation: '',
+            nationality: '',
+            titles: [],
+            notes: [],
+            familyChild: [],
+            familySpouse: [],
+            events: [],
+            sources: [],
+            media: [],
+            ...this.parseIdentifiers(record),
+            record
+        };
+
+        record.children.forEach(node => {
+            if (GedcomParser.INDIVIDUAL_EVENTS[node.tag]) {
+                individual.events.push(this.parseEvent(node, GedcomParser.INDIVIDUAL_EVENTS));
+            }
+
+            switch (node.tag) {
+                case 'NAME':
+                    individual.names.push(this.parseNameStructure(node));
+                    break;
+                case 'SEX':
+                    individual.sex = node.value;
+                    break;
+                case 'BIRT':
+                    individual.birth = this.parseEventDetail(node);
+                    break;
+                case 'DEAT':
+                    individual.death = this.parseEventDetail(node);
+                    break;
+                case 'OCCU':
+                    individual.occupation = node.value;
+                    break;
+                case 'NATI':
+                    individual.nationality = node.value;
+                    break;
+                case 'TITL':
+                    individual.titles.push(node.value);
+                    break;
+                case 'NOTE':
+                case 'SNOTE':
+                    individual.notes.push(node.value);
+                    break;
+                case 'FAMC':
+                    if (this.parsePointer(node.value)) {
+                        individual.familyChild.push(this.parseParentFamilyLink(node));
+                    }
+                    break;
+                case 'FAMS':
+                    if (this.parsePointer(node.value)) {
+                        individual.familySpouse.push(node.value);
+                    }
+                    break;
+                case 'SOUR':
+                    individual.sources.push(this.parseCitation(node));
+                    break;
+                case 'OBJE':
+                    individual.media.push(this.parseMediaLink(node));
+                    break;
+            }
+        });
+
+        individual.events = this.sortEvents(individual.events);
+        return individual;
+    }
+
+    /**
+     * Build a family from a FAM record node
+     */
+    buildFamily(record) {
+        const family = {
+            type: 'FAM',
+            id: record.xref,
+            husband: null,
+            wife: null,
+            children: [],
+            marriage: null,
+            divorce: null,
+            events: [],
+            sources: [],
+            notes: [],
+            media: [],
+            ...this.parseIdentifiers(record),
+            record
+        };
+
+        record.children.forEach(node => {
+            if (GedcomParser.FAMILY_EVENTS[node.tag]) {
+                family.events.push(this.parseEvent(node, GedcomParser.FAMILY_EVENTS));
+            }
+
+            switch (node.tag) {
+                case 'HUSB':
+                    family.husband = this.parsePointer(node.value);
+                    break;
+                case 'WIFE':
+                    family.wife = this.parsePointer(node.value);
+                    break;
+                case 'CHIL':
+                    // @VOID@ children are placeholders for a child not in the file
+                    if (this.parsePointer(node.value)) {
+                        family.children.push(node.value);
+                    }
+                    break;
+                case 'MARR':
+                    family.marriage = this.parseEventDetail(node);
+                    break;
+                case 'DIV':
+                    family.divorce = this.parseEventDetail(node);
+                    break;
+                case 'SOUR':
+                    family.sources.push(this.parseCitation(node));
+                    break;
+                case 'NOTE':
+                case 'SNOTE':
+                    family.notes.push(node.value);
+                    break;
+                case 'OBJE':
+                    family.media.push(this.parseMediaLink(node));
+                    break;
+            }
+        });
+
+        family.events = this.sortEvents(family.events);
+        return family;
+    }
+
+    /**
+     * Build a source from a SOUR record node
+     */
+    buildSource(record) {
+        return {
+            type: 'SOUR',
+            id: record.xref,
+            title: this.getChildValue(record, 'TITL'),
+            author: this.getChildValue(record, 'AUTH'),
+            publication: this.getChildValue(record, 'PUBL'),
+            abbreviation: this.getChildValue(record, 'ABBR'),
+            text: this.getChildValue(record, 'TEXT'),
+            repositories: this.getChildren(record, 'REPO').map(node => ({
+                repositoryId: this.parsePointer(node.value),
+                repository: null,
+                callNumbers: this.getChildren(node, 'CALN').map(caln => caln.value)
+            })),
+            notes: this.parseNotes(record),
+            record
+        };
+    }
+
+    /**
+     * Build a shared note from a NOTE record node
+     * The record's value (with CONC/CONT folded in) is the note text
+     */
+    buildNote(record) {
+        return {
+            type: 'NOTE',
+            id: record.xref,
+            text: record.value,
+            sources: this.parseCitations(record),
+            record
+        };
+    }
+
+    /**
+     * Build a multimedia object from an OBJE record or an embedded OBJE link
+     * Handles both 5.5.1 (FORM under FILE) and 5.5 (FORM under OBJE) layouts
+     */
+    buildMedia(record) {
+        const files = this.getChildren(record, 'FILE').map(file => {
+            const form = this.getChild(file, 'FORM') || this.getChild(record, 'FORM');
+            return {
+                file: file.value,
+                format: form ? form.value.toLowerCase() : '',
+                mediaType: form ? this.getChildValue(form, 'TYPE') || this.getChildValue(form, 'MEDI') : '',
+                title: this.getChildValue(file, 'TITL')
+            };
+        });
+
+        return {
+            type: 'OBJE',
+            id: record.xref,
+            files,
+            title: this.getChildValue(record, 'TITL') || (files[0] ? files[0].title : ''),
+            primary: this.parsePrimaryFlag(record),
+            notes: this.parseNotes(record),
+            sources: this.parseCitations(record),
+            record
+        };
+    }
+
+    /**
+     * Parse an OBJE link, either a pointer to an OBJE record or an embedded object
+     */
+    parseMediaLink(node) {
+        const isPointer = this.isPointer(node.value);
+        const link = {
+            mediaId: this.parsePointer(node.value),
+            media: isPointer ? null : this.buildMedia(node),
+            title: this.getChildValue(node, 'TITL'),
+            primary: this.parsePrimaryFlag(node)
+        };
+
+        this.mediaLinks.push(link);
+        return link;
+    }
+
+    /**
+     * Read the _PRIM primary-photo flag: true, false or null when absent
+     */
+    parsePrimaryFlag(node) {
+        const value = this.getChildValue(node, '_PRIM').toUpperCase();
+        if (value === 'Y') return true;
+        if (value === 'N') return false;
+        return null;
+    }
+
+    /**
+     * Whether a media file is an image the browser can show
+     */
+    isImageFile(file) {
+        const extension = (file.file.match(/\.([a-z0-9]+)$/i) || [])[1] || '';
+        // GEDCOM 7 gives a media type (image/jpeg) where 5.5.1 gives an extension
+        return file.format.startsWith('image/') ||
+            GedcomParser.IMAGE_FORMATS.includes(file.format) ||
+            GedcomParser.IMAGE_FORMATS.includes(extension.toLowerCase());
+    }
+
+    /**
+     * Get every image file linked to an individual, primary images first
+     * @returns {Array} Entries of { file, media, link }
+     */
+    getImages(individual) {
+        if (!individual) return [];
+
+        const images = [];
+        individual.media.forEach(link => {
+            if (!link.media) return;
+            link.media.files
+                .filter(file => this.isImageFile(file))
+                .forEach(file => images.push({ file, media: link.media, link }));
+        });
+
+        const isPrimary = image => image.link.primary === true ||
+            (image.link.primary === null && image.media.primary === true);
+        return [...images.filter(isPrimary), ...images.filter(image => !isPrimary(image))];
+    }
+
+    /**
+     * Get the image to use as an individual's portrait, or null
+     * Images flagged _PRIM N are never used as the portrait
+     */
+    getPortrait(individual) {
+        const isExcluded = image => image.link.primary === false ||
+            (image.link.primary === null && image.media.primary === false);
+        return this.getImages(individual).find(image => !isExcluded(image)) || null;
+    }
+
+    /**
+     * Build a repository from a REPO record node
+     */
+    buildRepository(record) {
+        return {
+            type: 'REPO',
+            id: record.xref,
+            name: this.getChildValue(record, 'NAME'),
+            address: this.getChildValue(record, 'ADDR'),
+            notes: this.parseNotes(record),
+            record
+        };
+    }
+
+    /**
+     * Parse a SOUR citation under a fact
+     * The value is either a pointer to a SOUR record or, in 5.5.1,
+     * an inline description of the source
+     */
+    parseCitation(node) {
+        const isPointer = this.isPointer(node.value);
+        const data = this.getChild(node, 'DATA');
+        const quality = this.getChildValue(node, 'QUAY');
+
+        const citation = {
+            sourceId: this.parsePointer(node.value),
+            source: null,
+            description: isPointer ? '' : node.value,
+            page: this.getChildValue(node, 'PAGE'),
+            quality: /^[0-3]$/.test(quality) ? parseInt(quality, 10) : null,
+            eventCited: this.getChildValue(node, 'EVEN'),
+            date: data ? this.getChildValue(data, 'DATE') : '',
+            text: [
+                ...(data ? this.getChildren(data, 'TEXT') : []),
+                ...this.getChildren(node, 'TEXT')
+            ].map(text => text.value),
+            notes: this.parseNotes(node),
+            record: node
+        };
+
+        this.citations.push(citation);
+        return citation;
+    }
+
+    /**
+     * Parse every SOUR citation directly under a node
+     */
+    parseCitations(node) {
+        return this.getChildren(node, 'SOUR').map(source => this.parseCitation(source));
+    }
+
+    /**
+     * Whether a fact's citations are all low quality (QUAY 0 or 1)
+     * Facts without citations or with unrated citations are not flagged
+     */
+    isWeaklySourced(citations) {
+        return citations.length > 0 &&
+            citations.every(citation => citation.quality !== null && citation.quality <= 1);
+    }
+
+    /**
+     * Get labels of an individual's facts supported only by low quality evidence
+     */
+    getWeaklySourcedFacts(individual) {
+        if (!individual) return [];
+
+        const facts = [];
+        individual.names.forEach(name => {
+            if (this.isWeaklySourced(name.sources)) facts.push(`Name: ${name.full}`);
+        });
+        this.getPersonEvents(individual).forEach(event => {
+            if (this.isWeaklySourced(event.sources)) facts.push(event.label);
+        });
+        return facts;
+    }
+
+    /**
+     * Parse a FAMC link with its pedigree type and status
+     * A missing PEDI means the child is a birth child of the family
+     */
+    parseParentFamilyLink(node) {
+        return {
+            family: node.value,
+            pedigree: this.getChildValue(node, 'PEDI').toLowerCase() || 'birth',
+            pedigreePhrase: this.getPhrase(this.getChild(node, 'PEDI')),
+            status: this.getChildValue(node, 'STAT').toLowerCase(),
+            statusPhrase: this.getPhrase(this.getChild(node, 'STAT'))
+        };
+    }
+
+    /**
+     * Get the link an individual has to one of their parent families
+     */
+    getParentFamilyLink(individual, familyId) {
+        if (!individual) return null;
+        return individual.familyChild.find(link => link.family === familyId) || null;
+    }
+
+    /**
+     * Parse an event or attribute node into the uniform event shape
+     * @param {Object} node - The event node (BIRT, RESI, EVEN, ...)
+     * @param {Object} labels - Tag to label map for the record type
+     * @returns {Object} Event with type, date, place, age, cause, agency, notes and sources
+     */
+    parseEvent(node, labels) {
+        // TYPE classifies the event; for EVEN it is the only description there is
+        const descriptor = this.getChildValue(node, 'TYPE');
+        const date = this.getChildValue(node, 'DATE');
+
+        return {
+            type: node.tag,
+            label: node.tag === 'EVEN' && descriptor ? descriptor : labels[node.tag],
+            value: node.value,
+            descriptor,
+            date,
+            dateValue: this.parseDate(date, descriptor, this.getPhrase(this.getChild(node, 'DATE'))),
+            place: this.getChildValue(node, 'PLAC'),
+            placeId: this.indexPlace(this.getChild(node, 'PLAC')),
+            age: this.getChildValue(node, 'AGE'),
+            cause: this.getChildValue(node, 'CAUS'),
+            agency: this.getChildValue(node, 'AGNC'),
+            notes: this.parseNotes(node),
+            sources: this.parseCitations(node),
+            record: node
+        };
+    }
+
+    /**
+     * Sort events chronologically
+     * Undated events keep their place after the preceding dated event
+     */
+    sortEvents(events) {
+        let previousKey = -Infinity;
+        const keyed = events.map((event, index) => {
+            const key = this.getEventSortKey(event);
+            if (key !== null) previousKey = key;
+            return { event, index, key: key !== null ? key : previousKey };
+        });
+
+        keyed.sort((a, b) => (a.key - b.key) || (a.index - b.index));
+        return keyed.map(entry => entry.event);
+    }
+
+    /**
+     * Get a numeric sort key for an event date, or null if undated
+     */
+    getEventSortKey(event) {
+        return GedcomDate.sortKey(event.dateValue);
+    }
+
+    /**
+     * Get all events of an individual together with the events of
+     * the families they are a spouse in, in chronological order
+     */
+    getPersonEvents(individual) {
+        if (!individual) return [];
+
+        const events = [...individual.events];
+        individual.familySpouse.forEach(famId => {
+            const family = this.families.get(famId);
+            if (!family) return;
+
+            const spouseId = family.husband === individual.id ? family.wife : family.husband;
+            const spouse = spouseId ? this.individuals.get(spouseId) : null;
+            family.events.forEach(event => {
+                events.push({ ...event, family, spouse });
+            });
+        });
+
+        return this.sortEvents(events);
+    }
+
+    /**
+     * Read date, place and type from an event node
+     */
+    parseEventDetail(node) {
+        const date = this.getChildValue(node, 'DATE');
+        const type = this.getChildValue(node, 'TYPE');
+        return {
+            date,
+            dateValue: this.parseDate(date, type, this.getPhrase(this.getChild(node, 'DATE'))),
+            place: this.getChildValue(node, 'PLAC'),
+            placeId: this.indexPlace(this.getChild(node, 'PLAC')),
+            type
+        };
+    }
+
+    /**
+     * Read the jurisdiction names of a PLAC FORM, e.g. "City, County, State, Country"
+     * @param {Object} node - A PLAC node, or null
+     * @returns {Array} Jurisdiction names, smallest first
+     */
+    parsePlaceForm(node) {
+        const form = node ? this.getChildValue(node, 'FORM') : '';
+        return form ? form.split(',').map(level => level.trim()) : [];
+    }
+
+    /**
+     * Add a PLAC structure to the place index, with each of its enclosing
+     * jurisdictions as its own place: "Hobbiton, Shire" adds Hobbiton and Shire
+     * Places are the same when their names differ only in case and spacing
+     * @param {Object} node - A PLAC node, or null
+     * @returns {string|null} The place id, or null if there is no place
+     */
+    indexPlace(node) {
+        if (!node || !node.value.trim()) return null;
+
+        // Levels come from the FORM of the place itself, or else the header's
+        const form = this.getChild(node, 'FORM') ? this.parsePlaceForm(node) : this.placeForm;
+        const jurisdictions = node.value.split(',')
+            .map((name, index) => ({ name: name.trim(), level: form[index] || '' }))
+            .filter(jurisdiction => jurisdiction.name);
+        if (jurisdictions.length === 0) return null;
+
+        // Build from the largest jurisdiction down, so each place knows the one enclosing it
+        let parentId = null;
+        for (let i = jurisdictions.length - 1; i >= 0; i--) {
+            const names = jurisdictions.slice(i).map(jurisdiction => jurisdiction.name);
+            const id = names.map(name => name.replace(/\s+/g, ' ').toLowerCase()).join(', ');
+
+            let place = this.places.get(id);
+            if (!place) {
+                place = {
+                    id,
+                    name: names.join(', '),
+                    jurisdiction: jurisdictions[i].name,
+                    level: jurisdictions[i].level,
+                    parentId,
+                    childIds: [],
+                    latitude: null,
+                    longitude: null,
+                    events: []
+                };
+                this.places.set(id, place);
+                if (parentId) this.places.get(parentId).childIds.push(id);
+            } else if (!place.level) {
+                place.level = jurisdictions[i].level;
+            }
+            parentId = id;
+        }
+
+        // The first coordinates given for a place are kept
+        const place = this.places.get(parentId);
+        const map = this.getChild(node, 'MAP');
+        if (map && place.latitude === null) {
+            const latitude = this.parseCoordinate(this.getChildValue(map, 'LATI'), 'N', 'S');
+            const longitude = this.parseCoordinate(this.getChildValue(map, 'LONG'), 'E', 'W');
+            if (latitude !== null && longitude !== null) {
+                place.latitude = latitude;
+                place.longitude = longitude;
+            }
         }
+        return parentId;
+    }
+
+    /**
+     * Read a LATI or LONG value such as "N51.5" or "W0.12" as signed degrees
+     * @param {string} positive - Hemisphere letter for positive values (N or E)
+     * @param {string} negative - Hemisphere letter for negative values (S or W)
+     * @returns {number|null} Degrees, or null if the value cannot be read
+     */
+    parseCoordinate(value, positive, negative) {
+        const match = value.trim().toUpperCase().match(/^([NSEW])\s*(\d+(?:\.\d+)?)$/);
+        if (!match || ![positive, negative].includes(match[1])) return null;
+        return match[1] === negative ? -Number(match[2]) : Number(match[2]);
+    }
+
+    /**
+     * List on each place who was born, married or died there
+     * The event types are those in GedcomParser.PLACE_EVENTS
+     */
+    indexPlaceEvents() {
+        const add = (event, personIds, familyId = null) => {
+            if (!event.placeId || !GedcomParser.PLACE_EVENTS[event.type]) return;
+            this.places.get(event.placeId).events.push({
+                type: event.type,
+                label: GedcomParser.PLACE_EVENTS[event.type],
+                personIds: personIds.filter(Boolean),
+                familyId,
+                date: event.date,
+                dateValue: event.dateValue
+            });
+        };
+
+        this.individuals.forEach(individual => {
+            individual.events.forEach(event => add(event, [individual.id]));
+        });
+        this.families.forEach(family => {
+            family.events.forEach(event => add(event, [family.husband, family.wife], family.id));
+        });
+        this.places.forEach(place => {
+            place.events = this.sortEvents(place.events);
+        });
+    }
+
+    /**
+     * Get the places that are not inside another place, by name
+     */
+    getTopLevelPlaces() {
+        return [...this.places.values()]
+            .filter(place => !place.parentId)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Parse a date value, counting years from the era named by
+     * the event TYPE when it is a registered era code
+     * @param {string} phrase - GEDCOM 7 PHRASE giving the date as written
+     */
+    parseDate(date, type, phrase = '') {
+        // A phrase on its own is the 7.0 form of a 5.5.1 "(date phrase)"
+        if (!date && phrase) return GedcomDate.parse(`(${phrase})`);
+
+        const value = GedcomDate.parse(date, this.calendars.get(type));
+        if (phrase && value.valid) value.phrase = phrase;
+        return value;
+    }
+
+    /**
+     * Get an individual's age in whole years at the given parsed date
+     */
+    getAgeAt(individual, dateValue) {
+        if (!individual || !individual.birth) return null;
+        return GedcomDate.age(individual.birth.dateValue, dateValue);
     }
 
     /**
@@ -242,39 +1127,145 @@ class GedcomParser {
     }
 
     /**
-     * Save the current record to the appropriate collection
+     * Parse a NAME structure: the name, its TYPE and its romanised,
+     * phonetic and (GEDCOM 7) translated variants
+     */
+    parseNameStructure(node) {
+        const type = this.getChild(node, 'TYPE');
+        const variant = (kind, child, method) => ({
+            kind,
+            method,
+            ...this.parseNamePieces(child)
+        });
+
+        return {
+            ...this.parseNamePieces(node),
+            type: type ? type.value.toLowerCase() : '',
+            typePhrase: this.getPhrase(type),
+            variants: [
+                ...this.getChildren(node, 'ROMN').map(child => variant('romanized', child, this.getChildValue(child, 'TYPE'))),
+                ...this.getChildren(node, 'FONE').map(child => variant('phonetic', child, this.getChildValue(child, 'TYPE'))),
+                ...this.getChildren(node, 'TRAN').map(child => variant('translation', child, this.getChildValue(child, 'LANG')))
+            ],
+            sources: this.parseCitations(node)
+        };
+    }
+
+    /**
+     * Parse a name value with its NPFX, GIVN, NICK, SPFX, SURN and NSFX pieces
+     * Pieces, when given, win over what the slashes in the value say
+     */
+    parseNamePieces(node) {
+        const name = this.parseName(node.value);
+        const piece = tag => this.getChildValue(node, tag);
+
+        return {
+            ...name,
+            value: node.value,
+            prefix: piece('NPFX'),
+            given: piece('GIVN') || name.given,
+            nickname: piece('NICK'),
+            surnamePrefix: piece('SPFX'),
+            surname: piece('SURN') || name.surname,
+            suffix: piece('NSFX') || name.suffix
+        };
+    }
+
+    /**
+     * Get the name to show for an individual: the first name of the
+     * first type the name policy prefers, or else their first name
      */
-    saveCurrentRecord(record) {
-        if (!record) return;
+    getPreferredName(individual) {
+        if (!individual || !individual.names || individual.names.length === 0) return null;
 
-        if (record.type === 'INDI') {
-            this.individuals.set(record.id, record);
-        } else if (record.type === 'FAM') {
-            this.families.set(record.id, record);
-        } else if (record.type === 'HEAD') {
-            this.header = record;
+        for (const type of this.namePolicy.preferTypes) {
+            const name = individual.names.find(candidate => candidate.type === type);
+            if (name) return name;
         }
+        return individual.names[0];
     }
 
     /**
      * Get the display name for an individual
      */
     getDisplayName(individual) {
-        if (!individual || !individual.names || individual.names.length === 0) {
+        const name = this.getPreferredName(individual);
+        if (!name) {
             return 'Unknown';
         }
-        const name = individual.names[0];
-        return name.full || name.given || 'Unknown';
+        return this.formatName(name) || name.given || 'Unknown';
+    }
+
+    /**
+     * Write a name as the name policy asks
+     * Given-first names keep the wording of the NAME value; surname-first
+     * names move the /surname/ part, or SURN, to the front
+     * @param {Object} name - A name from parseNameStructure
+     * @param {Object} policy - See GedcomParser.DEFAULT_NAME_POLICY
+     */
+    formatName(name, policy = this.namePolicy) {
+        // A NAME continued with CONT holds line breaks, which are read as spaces
+        const value = (name.value || '').replace(/\s*\n\s*/g, ' ');
+        const [, before, surname, after] = value.match(/^([^\/]*)\/?([^\/]*)\/?(.*)$/) || [, value, '', ''];
+        const nickname = policy.nickname === 'quoted' && name.nickname && !name.full.includes(name.nickname)
+            ? `"${name.nickname}"`
+            : '';
+        const join = parts => parts.map(part => part.trim()).filter(Boolean).join(' ');
+
+        if (policy.order === 'surname-first' && (surname.trim() || name.surname)) {
+            const rest = surname.trim()
+                ? join([before, nickname, after])
+                : join([name.prefix, name.given, nickname, name.suffix]);
+            const family = surname.trim() || join([name.surnamePrefix, name.surname]);
+            return rest ? `${family}, ${rest}` : family;
+        }
+        return nickname ? join([before, nickname, surname, after]) : name.full;
+    }
+
+    /**
+     * Get every way a person's names are written: each name, its nickname and
+     * its romanised, phonetic and translated variants
+     * @returns {Array} Distinct name strings
+     */
+    getNameVariants(individual) {
+        const variants = new Set();
+        individual.names.forEach(name => {
+            [name, ...name.variants].forEach(form => {
+                if (form.full) variants.add(form.full);
+                if (form.nickname) variants.add(form.nickname);
+            });
+        });
+        return [...variants];
+    }
+
+    /**
+     * Find people whose names or name variants contain the query
+     * Case and accents are ignored, so "undomiel" finds "Undómiel"
+     * @returns {Array} Matches { individual, variant } with the variant that matched
+     */
+    searchIndividuals(query) {
+        const fold = text => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        const needle = fold(query.trim());
+        if (!needle) return [];
+
+        const matches = [];
+        this.individuals.forEach(individual => {
+            const variant = this.getNameVariants(individual).find(text => fold(text).includes(needle));
+            if (variant) matches.push({ individual, variant });
+        });
+        return matches;
     }
 
     /**
      * Get formatted birth/death dates
+     * @param {Object} individual - The individual
+     * @param {Object} dateOptions - Options for GedcomDate.format
      */
-    getLifespan(individual) {
+    getLifespan(individual, dateOptions = {}) {
         if (!individual) return '';
 
-        const birth = individual.birth?.date || '';
-        const death = individual.death?.date || '';
+        const birth = GedcomDate.format(individual.birth?.dateValue, dateOptions);
+        const death = GedcomDate.format(individual.death?.dateValue, dateOptions);
 
         if (birth || death) {
             return `${birth || '?'} - ${death || ''}`;
@@ -302,6 +1293,8 @@ class GedcomParser {
                 nationality: individual.nationality,
                 titles: individual.titles,
                 occupation: individual.occupation,
+                weakFacts: this.getWeaklySourcedFacts(individual),
+                portrait: this.getPortrait(individual),
                 data: individual
             };
             nodes.push(node);
@@ -327,13 +1320,19 @@ class GedcomParser {
             family.children.forEach(childId => {
                 const child = nodeMap.get(childId);
                 if (child) {
+                    const familyLink = this.getParentFamilyLink(child.data, famId);
+                    const pedigree = familyLink ? familyLink.pedigree : 'birth';
+                    const status = familyLink ? familyLink.status : '';
+
                     // Link from father to child
                     if (husband) {
                         links.push({
                             source: husband.id,
                             target: childId,
                             type: 'parent-child',
-                            familyId: famId
+                            familyId: famId,
+                            pedigree,
+                            status
                         });
                     }
                     // Link from mother to child
@@ -342,7 +1341,9 @@ class GedcomParser {
                             source: wife.id,
                             target: childId,
                             type: 'parent-child',
-                            familyId: famId
+                            familyId: famId,
+                            pedigree,
+                            status
                         });
                     }
                 }
@@ -353,6 +1354,109 @@ class GedcomParser {
     }
 }
 
+// Individual events and attributes collected into the events list
+GedcomParser.INDIVIDUAL_EVENTS = {
+    BIRT: 'Birth',
+    CHR: 'Christening',
+    BAPM: 'Baptism',
+    BLES: 'Blessing',
+    BARM: 'Bar Mitzvah',
+    BASM: 'Bas Mitzvah',
+    ADOP: 'Adoption',
+    CONF: 'Confirmation',
+    FCOM: 'First Communion',
+    ORDN: 'Ordination',
+    CHRA: 'Adult Christening',
+    GRAD: 'Graduation',
+    EDUC: 'Education',
+    RESI: 'Residence',
+    CENS: 'Census',
+    EMIG: 'Emigration',
+    IMMI: 'Immigration',
+    NATU: 'Naturalization',
+    RELI: 'Religion',
+    PROP: 'Property',
+    _MILT: 'Military Service',
+    _MILI: 'Military Service',
+    RETI: 'Retirement',
+    WILL: 'Will',
+    PROB: 'Probate',
+    DEAT: 'Death',
+    BURI: 'Burial',
+    CREM: 'Cremation',
+    EVEN: 'Event'
+};
+
+// Name policy defaults: the first NAME, as written
+// preferTypes: NAME TYPE values to prefer, in order, e.g. ['birth']
+// order: 'given-first' or 'surname-first'; nickname: 'none' or 'quoted'
+GedcomParser.DEFAULT_NAME_POLICY = {
+    preferTypes: [],
+    order: 'given-first',
+    nickname: 'none'
+};
+
+// Events listed for each place in the place index
+GedcomParser.PLACE_EVENTS = {
+    BIRT: 'Born',
+    MARR: 'Married',
+    DEAT: 'Died'
+};
+
+// Labels for NAME TYPE values
+GedcomParser.NAME_TYPES = {
+    aka: 'Also known as',
+    birth: 'Birth name',
+    immigrant: 'Immigrant name',
+    maiden: 'Maiden name',
+    married: 'Married name',
+    professional: 'Professional name',
+    other: 'Other name'
+};
+
+// Labels for the kinds of name variant
+GedcomParser.NAME_VARIANTS = {
+    romanized: 'Romanised',
+    phonetic: 'Phonetic',
+    translation: 'Translation'
+};
+
+// GEDCOM versions and character sets this parser reads correctly
+GedcomParser.SUPPORTED_VERSIONS = ['7.0', '5.5.1', '5.5'];
+GedcomParser.SUPPORTED_CHARSETS = ['UTF-8', 'UNICODE', 'ASCII', 'ANSEL', 'ANSI', 'MACINTOSH'];
+
+// GEDCOM 7 pointer meaning "no record", e.g. an unknown parent
+GedcomParser.VOID_POINTER = '@VOID@';
+
+// Named HTML entities decoded in values; numeric entities are decoded generically
+GedcomParser.HTML_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', hellip: '…', copy: '©'
+};
+
+// Media formats shown as images
+GedcomParser.IMAGE_FORMATS = ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp', 'svg'];
+
+// Labels for the QUAY certainty assessment of a citation
+GedcomParser.QUALITY_LABELS = ['Unreliable', 'Questionable', 'Secondary evidence', 'Primary evidence'];
+
+// Family events collected into the events list
+GedcomParser.FAMILY_EVENTS = {
+    ENGA: 'Engagement',
+    MARB: 'Marriage Banns',
+    MARC: 'Marriage Contract',
+    MARL: 'Marriage License',
+    MARS: 'Marriage Settlement',
+    MARR: 'Marriage',
+    RESI: 'Residence',
+    CENS: 'Census',
+    DIVF: 'Divorce Filed',
+    DIV: 'Divorce',
+    ANUL: 'Annulment',
+    EVEN: 'Event'
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = GedcomParser;
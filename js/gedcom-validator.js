@@ -0,0 +1,256 @@
+/**
+ * GEDCOM Validator
+ * Checks a parsed GEDCOM file for structural and linkage problems,
+ * reporting each one with the line it was found on
+ */
+
+class GedcomValidator {
+    /**
+     * @param {GedcomParser} parser - A parser that has already parsed the file
+     */
+    constructor(parser) {
+        this.parser = parser;
+        this.issues = [];
+    }
+
+    /**
+     * Validate a GEDCOM file
+     * @param {string} content - The same content that was given to the parser
+     * @returns {Array} Issues { severity, code, message, line, personId } ordered by line
+     */
+    validate(content) {
+        this.issues = [];
+
+        this.checkLines(content);
+        this.checkRecords();
+        this.checkIndividualLinks();
+        this.checkFamilyLinks();
+
+        this.issues.sort((a, b) => (a.line || Infinity) - (b.line || Infinity));
+        return this.issues;
+    }
+
+    /**
+     * Record an issue
+     * @param {string} severity - 'error' or 'warning'
+     * @param {string} code - Short machine-readable issue kind
+     * @param {string} message - Human readable description
+     * @param {number|null} line - Source line number
+     * @param {string|null} personId - The person the issue is best shown on
+     */
+    addIssue(severity, code, message, line, personId = null) {
+        this.issues.push({ severity, code, message, line, personId });
+    }
+
+    /**
+     * Check the raw lines: syntax and level numbering.
+     * The record tree hides these problems, so they are read from the content.
+     */
+    checkLines(content) {
+        const lines = content.split(/\r\n|\r|\n/);
+        let previousLevel = null;
+        let personId = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].replace(/^\s+/, '');
+            if (!line) continue;
+
+            const parsed = this.parser.parseLine(line);
+            if (!parsed) {
+                this.addIssue('error', 'syntax', `Line is not in GEDCOM format: ${line.slice(0, 40)}`, i + 1, personId);
+                continue;
+            }
+
+            if (parsed.level === 0) {
+                personId = parsed.tag === 'INDI' ? parsed.xref : null;
+            }
+
+            if (previousLevel === null && parsed.level !== 0) {
+                this.addIssue('error', 'level-jump', `File starts at level ${parsed.level} instead of 0`, i + 1);
+            } else if (previousLevel !== null && parsed.level > previousLevel + 1) {
+                this.addIssue('error', 'level-jump',
+                    `Level jumps from ${previousLevel} to ${parsed.level} on ${parsed.tag}`, i + 1, personId);
+            }
+            previousLevel = parsed.level;
+        }
+    }
+
+    /**
+     * Check level 0 records: duplicate xrefs, unknown tags and the trailer
+     */
+    checkRecords() {
+        const records = this.parser.records;
+        const seen = new Map();
+
+        records.forEach(record => {
+            if (!record.xref) return;
+            if (seen.has(record.xref)) {
+                this.addIssue('error', 'duplicate-xref',
+                    `${record.xref} is already defined on line ${seen.get(record.xref)}`,
+                    record.line, record.tag === 'INDI' ? record.xref : null);
+            } else {
+                seen.set(record.xref, record.line);
+            }
+        });
+
+        const isGedcom7 = this.parser.isGedcom7();
+        const visit = (node, personId) => {
+            if (isGedcom7 && node.tag === 'CONC') {
+                this.addIssue('error', 'removed-tag', 'CONC is not allowed in GEDCOM 7; use CONT or one long line',
+                    node.line, personId);
+            } else if (!node.tag.startsWith('_') && !this.isKnownTag(node.tag)) {
+                // Tags starting with an underscore are user-defined extensions
+                this.addIssue('warning', 'unknown-tag', `Unknown tag ${node.tag}`, node.line, personId);
+            }
+            node.children.forEach(child => visit(child, personId));
+        };
+        records.forEach(record => visit(record, record.tag === 'INDI' ? record.xref : null));
+
+        const last = records[records.length - 1];
+        if (!last || last.tag !== 'TRLR') {
+            const line = last ? this.getLastLine(last) : null;
+            this.addIssue('error', 'missing-trlr', 'File does not end with a TRLR record; it may be truncated', line);
+        }
+    }
+
+    /**
+     * Check each person's FAMC and FAMS pointers against the families they name
+     */
+    checkIndividualLinks() {
+        const families = this.parser.families;
+
+        this.getRecords('INDI').forEach(record => {
+            const id = record.xref;
+
+            this.getPointers(record, 'FAMC', id).forEach(node => {
+                const family = families.get(node.value);
+                if (!family) {
+                    this.addIssue('error', 'dangling-xref', `FAMC points to missing family ${node.value}`, node.line, id);
+                } else if (!family.children.includes(id)) {
+                    this.addIssue('warning', 'link-mismatch',
+                        `${this.describe(id)} names ${node.value} as a parent family (FAMC), but that family has no CHIL for them`,
+                        node.line, id);
+                }
+            });
+
+            this.getPointers(record, 'FAMS', id).forEach(node => {
+                const family = families.get(node.value);
+                if (!family) {
+                    this.addIssue('error', 'dangling-xref', `FAMS points to missing family ${node.value}`, node.line, id);
+                } else if (family.husband !== id && family.wife !== id) {
+                    this.addIssue('warning', 'link-mismatch',
+                        `${this.describe(id)} names ${node.value} as a spouse family (FAMS), but that family has no HUSB or WIFE for them`,
+                        node.line, id);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check each family's HUSB, WIFE and CHIL pointers against the people they name
+     */
+    checkFamilyLinks() {
+        const individuals = this.parser.individuals;
+
+        this.getRecords('FAM').forEach(record => {
+            const id = record.xref;
+            const members = ['HUSB', 'WIFE', 'CHIL']
+                .flatMap(tag => this.parser.getChildren(record, tag))
+                .filter(node => individuals.has(node.value));
+            // Issues about the family as a whole are shown on its first known member
+            const fallbackPerson = members.length > 0 ? members[0].value : null;
+
+            ['HUSB', 'WIFE', 'CHIL'].forEach(tag => {
+                this.getPointers(record, tag, fallbackPerson).forEach(node => {
+                    const person = individuals.get(node.value);
+                    if (!person) {
+                        this.addIssue('error', 'dangling-xref',
+                            `${tag} in family ${id} points to missing person ${node.value}`, node.line, fallbackPerson);
+                    } else if (tag === 'CHIL' && !person.familyChild.some(link => link.family === id)) {
+                        this.addIssue('warning', 'link-mismatch',
+                            `Family ${id} lists ${this.describe(node.value)} as CHIL, but they have no FAMC for it`,
+                            node.line, node.value);
+                    } else if (tag !== 'CHIL' && !person.familySpouse.includes(id)) {
+                        this.addIssue('warning', 'link-mismatch',
+                            `Family ${id} lists ${this.describe(node.value)} as ${tag}, but they have no FAMS for it`,
+                            node.line, node.value);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Whether a tag is defined by the file's GEDCOM version
+     */
+    isKnownTag(tag) {
+        return GedcomValidator.KNOWN_TAGS.has(tag) ||
+            (this.parser.isGedcom7() && GedcomValidator.GEDCOM7_TAGS.has(tag));
+    }
+
+    /**
+     * Get a record's pointer lines with a tag, leaving out @VOID@ null pointers
+     * Lines whose value is not a pointer are reported and left out too
+     * @param {string|null} personId - Person to show an issue on
+     */
+    getPointers(record, tag, personId = null) {
+        return this.parser.getChildren(record, tag).filter(node => {
+            if (node.value === this.parser.constructor.VOID_POINTER) return false;
+            if (!this.parser.isPointer(node.value)) {
+                this.addIssue('error', 'malformed-pointer',
+                    `${tag} should point to a record, but has ${node.value ? `"${node.value}"` : 'no value'}`, node.line, personId);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Get the level 0 records with a tag
+     */
+    getRecords(tag) {
+        return this.parser.records.filter(record => record.tag === tag && record.xref);
+    }
+
+    /**
+     * Get the highest line number within a record
+     */
+    getLastLine(node) {
+        return node.children.reduce((line, child) => Math.max(line, this.getLastLine(child)), node.line);
+    }
+
+    /**
+     * Name a person for messages: "Name (@I1@)"
+     */
+    describe(id) {
+        const individual = this.parser.individuals.get(id);
+        return individual ? `${this.parser.getDisplayName(individual)} (${id})` : id;
+    }
+}
+
+// Standard GEDCOM 5.5.1 tags
+GedcomValidator.KNOWN_TAGS = new Set([
+    'ABBR', 'ADDR', 'ADR1', 'ADR2', 'ADR3', 'ADOP', 'AFN', 'AGE', 'AGNC', 'ALIA', 'ANCE', 'ANCI',
+    'ANUL', 'ASSO', 'AUTH', 'BAPL', 'BAPM', 'BARM', 'BASM', 'BIRT', 'BLES', 'BLOB', 'BURI', 'CALN',
+    'CAST', 'CAUS', 'CENS', 'CHAN', 'CHAR', 'CHIL', 'CHR', 'CHRA', 'CITY', 'CONC', 'CONF', 'CONL',
+    'CONT', 'COPR', 'CORP', 'CREM', 'CTRY', 'DATA', 'DATE', 'DEAT', 'DESC', 'DESI', 'DEST', 'DIV',
+    'DIVF', 'DSCR', 'EDUC', 'EMAI', 'EMAIL', 'EMIG', 'ENDL', 'ENGA', 'EVEN', 'FACT', 'FAM', 'FAMC',
+    'FAMF', 'FAMS', 'FAX', 'FCOM', 'FILE', 'FONE', 'FORM', 'GEDC', 'GIVN', 'GRAD', 'HEAD', 'HUSB',
+    'IDNO', 'IMMI', 'INDI', 'LANG', 'LATI', 'LEGA', 'LONG', 'MAP', 'MARB', 'MARC', 'MARL', 'MARR',
+    'MARS', 'MEDI', 'NAME', 'NATI', 'NATU', 'NCHI', 'NICK', 'NMR', 'NOTE', 'NPFX', 'NSFX', 'OBJE',
+    'OCCU', 'ORDI', 'ORDN', 'PAGE', 'PEDI', 'PHON', 'PLAC', 'POST', 'PROB', 'PROP', 'PUBL', 'QUAY',
+    'REFN', 'RELA', 'RELI', 'REPO', 'RESI', 'RESN', 'RETI', 'RFN', 'RIN', 'ROLE', 'ROMN', 'SEX',
+    'SLGC', 'SLGS', 'SOUR', 'SPFX', 'SSN', 'STAE', 'STAT', 'SUBM', 'SUBN', 'SURN', 'TEMP', 'TEXT',
+    'TIME', 'TITL', 'TRLR', 'TYPE', 'VERS', 'WIFE', 'WILL', 'WWW'
+]);
+
+// Tags added by GEDCOM 7.0
+GedcomValidator.GEDCOM7_TAGS = new Set([
+    'CREA', 'CROP', 'EXID', 'HEIGHT', 'INIL', 'LEFT', 'MIME', 'NO', 'PHRASE', 'SCHMA', 'SDATE',
+    'SNOTE', 'TAG', 'TOP', 'TRAN', 'UID', 'WIDTH'
+]);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GedcomValidator;
+}
@@ -0,0 +1,215 @@
+/**
+ * GEDCOM Writer
+ * Serialises a parsed GEDCOM file back to GEDCOM 5.5.1 text
+ */
+
+class GedcomWriter {
+    /**
+     * @param {Object} options - { maxLineLength, lineEnding }
+     */
+    constructor(options = {}) {
+        // 5.5.1 limits a line, including level and tag, to 255 characters
+        this.maxLineLength = options.maxLineLength || 255;
+        this.lineEnding = options.lineEnding || '\n';
+    }
+
+    /**
+     * Write every record of a parsed file
+     * The record tree keeps every line of the original file, so tags the
+     * parser does not understand are written back unchanged
+     * @param {GedcomParser} parser - A parser that has parsed a file
+     * @returns {string} GEDCOM 5.5.1 text
+     */
+    write(parser) {
+        return this.writeRecords(parser.records, parser.isGedcom7());
+    }
+
+    /**
+     * Write a list of record nodes, as built by the parser or an importer
+     * @param {Array} records - Level 0 nodes { tag, xref, value, children }
+     * @param {boolean} fromGedcom7 - Whether the nodes use GEDCOM 7 constructs
+     * @returns {string} GEDCOM 5.5.1 text
+     */
+    writeRecords(records, fromGedcom7 = false) {
+        this.fromGedcom7 = fromGedcom7;
+        const lines = [];
+        const head = records.find(record => record.tag === 'HEAD');
+
+        this.writeNode(this.buildHeader(head), 0, lines);
+        records
+            .filter(record => record.tag !== 'HEAD' && record.tag !== 'TRLR')
+            .forEach(record => this.writeNode(record, 0, lines));
+        lines.push('0 TRLR');
+
+        return lines.join(this.lineEnding) + this.lineEnding;
+    }
+
+    /**
+     * Build the HEAD record to write: the original header declaring
+     * GEDCOM 5.5.1 in UTF-8, since that is what the writer produces
+     */
+    buildHeader(head) {
+        const children = head ? head.children.filter(node => node.tag !== 'SCHMA') : [];
+        const node = GedcomWriter.createNode;
+
+        const gedc = node('GEDC', '', [node('VERS', '5.5.1'), node('FORM', 'LINEAGE-LINKED')]);
+        const char = node('CHAR', 'UTF-8');
+
+        const result = children.map(child => {
+            if (child.tag === 'GEDC') return gedc;
+            if (child.tag === 'CHAR') return char;
+            return child;
+        });
+        if (!result.some(child => child.tag === 'GEDC')) result.push(gedc);
+        if (!result.some(child => child.tag === 'CHAR')) result.push(char);
+
+        return node('HEAD', '', result);
+    }
+
+    /**
+     * Create a record tree node for writing
+     * Empty subordinate nodes are left out so callers can pass optional values
+     * @param {string} tag - The tag
+     * @param {string} value - The line value
+     * @param {Array} children - Subordinate nodes; null entries are skipped
+     * @param {string|null} xref - Cross-reference id for level 0 records
+     */
+    static createNode(tag, value = '', children = [], xref = null) {
+        return {
+            tag,
+            xref,
+            value: value === null || value === undefined ? '' : String(value),
+            children: children.filter(Boolean)
+        };
+    }
+
+    /**
+     * Write a node and its subordinates, numbering levels from the tree depth
+     */
+    writeNode(node, level, lines) {
+        const converted = this.fromGedcom7 ? this.convertFromGedcom7(node) : node;
+        if (!converted) return;
+
+        this.writeLine(level, converted.xref, converted.tag, converted.value, lines);
+        converted.children.forEach(child => this.writeNode(child, level + 1, lines));
+    }
+
+    /**
+     * Map GEDCOM 7 constructs onto their 5.5.1 equivalents
+     * @returns {Object|null} The node to write, or null to leave it out
+     */
+    convertFromGedcom7(node) {
+        // A @VOID@ pointer says nothing in 5.5.1, so the line is dropped
+        if (node.value === GedcomWriter.VOID_POINTER) return null;
+
+        let { tag, value, children } = node;
+        tag = GedcomWriter.GEDCOM7_RENAMED_TAGS[tag] || tag;
+        if (tag === 'DATE') {
+            value = value.replace(/\b(GREGORIAN|JULIAN|HEBREW|FRENCH_R) /g,
+                (match, calendar) => `@#D${calendar.replace('_', ' ')}@ `);
+
+            // A date phrase becomes "(phrase)" or "INT date (phrase)"; the parent moves the others to a NOTE
+            const phrase = children.find(child => child.tag === 'PHRASE');
+            if (phrase && !GedcomWriter.QUALIFIED_DATE.test(value)) {
+                value = value ? `INT ${value} (${phrase.value})` : `(${phrase.value})`;
+            }
+            children = children.filter(child => child !== phrase);
+        }
+
+        // Ranges, periods and approximate dates have no 5.5.1 form with a phrase
+        const notes = children
+            .filter(child => child.tag === 'DATE' && GedcomWriter.QUALIFIED_DATE.test(child.value))
+            .flatMap(date => date.children.filter(child => child.tag === 'PHRASE' && child.value))
+            .map(phrase => GedcomWriter.createNode('NOTE', `Date: ${phrase.value}`));
+        children = [...children, ...notes];
+        return { ...node, tag, value, children };
+    }
+
+    /**
+     * Write one value, splitting it over CONT lines at newlines and
+     * CONC lines where it would exceed the maximum line length
+     */
+    writeLine(level, xref, tag, value, lines) {
+        const isPointer = /^@[^@]+@$/.test(value);
+        const [first, ...rest] = (value || '').split('\n');
+
+        this.writeChunks(`${level} ${xref ? `${xref} ` : ''}${tag}`, first, isPointer, level, lines);
+        rest.forEach(text => this.writeChunks(`${level + 1} CONT`, text, false, level, lines));
+    }
+
+    /**
+     * Write one line of text, continuing it on CONC lines as needed
+     */
+    writeChunks(prefix, text, isPointer, level, lines) {
+        if (isPointer) {
+            lines.push(`${prefix} ${text}`);
+            return;
+        }
+
+        const concPrefix = `${level + 1} CONC`;
+        const [first, ...rest] = this.splitText(text,
+            this.maxLineLength - prefix.length - 1,
+            this.maxLineLength - concPrefix.length - 1);
+        lines.push(first ? `${prefix} ${this.escapeValue(first)}` : prefix);
+
+        rest.forEach(chunk => {
+            lines.push(`${concPrefix} ${this.escapeValue(chunk)}`);
+        });
+    }
+
+    /**
+     * Split text into pieces whose escaped length fits in the room available
+     * Splits avoid spaces at either side, which some readers trim off
+     * @param {number} firstRoom - Characters available on the first line
+     * @param {number} concRoom - Characters available on each CONC line
+     */
+    splitText(text, firstRoom, concRoom) {
+        const chunks = [];
+        let rest = text;
+        let available = firstRoom;
+
+        while (this.escapeValue(rest).length > available) {
+            let cut = Math.min(available, rest.length);
+            while (cut > 1 && this.escapeValue(rest.slice(0, cut)).length > available) cut--;
+
+            // Never split a surrogate pair
+            const code = rest.charCodeAt(cut - 1);
+            if (code >= 0xD800 && code <= 0xDBFF) cut--;
+
+            let clean = cut;
+            while (clean > cut / 2 && (rest[clean - 1] === ' ' || rest[clean] === ' ')) clean--;
+            if (clean > cut / 2) cut = clean;
+
+            chunks.push(rest.slice(0, cut));
+            rest = rest.slice(cut);
+            available = concRoom;
+        }
+        chunks.push(rest);
+        return chunks;
+    }
+
+    /**
+     * Double every @ except in @#D...@ calendar escapes
+     */
+    escapeValue(text) {
+        return text.replace(/@#D[^@]*@|@/g, match => match.length > 1 ? match : '@@');
+    }
+}
+
+// GEDCOM 7 null pointer
+GedcomWriter.VOID_POINTER = '@VOID@';
+
+// GEDCOM 7 tags written under their 5.5.1 name, or as extension tags where 5.5.1 has none
+GedcomWriter.GEDCOM7_RENAMED_TAGS = {
+    SNOTE: 'NOTE',
+    UID: '_UID',
+    EXID: '_EXID'
+};
+
+// Date values that cannot carry an interpreted "INT date (phrase)"
+GedcomWriter.QUALIFIED_DATE = /^(ABT|CAL|EST|BEF|AFT|BET|FROM|TO)\b/;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GedcomWriter;
+}
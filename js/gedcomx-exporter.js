@@ -0,0 +1,272 @@
+/**
+ * GEDCOM X Exporter
+ * Converts a parsed GEDCOM file to a GEDCOM X JSON document, using the
+ * same type tables as GedcomXImporter so the two round-trip
+ */
+
+class GedcomXExporter {
+    /**
+     * @param {GedcomParser} parser - A parser that has parsed a file
+     */
+    constructor(parser) {
+        this.parser = parser;
+        // The importer's type tables; a <script> global in the browser, a module under Node
+        this.tables = typeof GedcomXImporter !== 'undefined' ? GedcomXImporter : require('./gedcomx-importer');
+    }
+
+    /**
+     * Build the GEDCOM X document
+     * @returns {Object} The document, ready for JSON.stringify
+     */
+    export() {
+        const parser = this.parser;
+        return {
+            persons: [...parser.individuals.values()].map(individual => this.buildPerson(individual)),
+            relationships: [...parser.families.values()].flatMap(family => this.buildRelationships(family)),
+            sourceDescriptions: [
+                ...[...parser.sources.values()].map(source => this.buildSourceDescription(source)),
+                ...[...parser.media.values()].map(media => this.buildMediaDescription(media))
+            ]
+        };
+    }
+
+    /**
+     * Build a person with names, gender, facts and references
+     */
+    buildPerson(individual) {
+        // Family events such as MARR go on the couple relationship, not on each partner
+        const facts = individual.events.map(event => this.buildFact(event));
+        if (individual.occupation) facts.push({ type: this.typeUri('OCCU'), value: individual.occupation });
+        if (individual.nationality) facts.push({ type: this.typeUri('NATI'), value: individual.nationality });
+        individual.titles.forEach(title => facts.push({ type: this.customUri('Title'), value: title }));
+
+        const gender = Object.keys(this.tables.GENDERS)
+            .find(type => this.tables.GENDERS[type] === individual.sex);
+
+        return {
+            id: this.id(individual.id),
+            ...(gender ? { gender: { type: `${GedcomXExporter.NAMESPACE}${gender}` } } : {}),
+            names: individual.names.map(name => this.buildName(name, name === this.parser.getPreferredName(individual))),
+            facts,
+            ...this.buildReferences(individual)
+        };
+    }
+
+    /**
+     * Build a name with a name form for the name and one for each of its variants
+     * Translations carry their language; romanised and phonetic forms have none
+     */
+    buildName(name, preferred) {
+        const form = (piece, lang) => ({
+            ...(lang ? { lang } : {}),
+            fullText: piece.full,
+            parts: [
+                ['Prefix', piece.prefix],
+                ['Given', piece.given],
+                ['Surname', piece.surnamePrefix && !piece.surname.startsWith(piece.surnamePrefix)
+                    ? `${piece.surnamePrefix} ${piece.surname}`
+                    : piece.surname],
+                ['Suffix', piece.suffix]
+            ]
+                .filter(([, value]) => value)
+                .map(([type, value]) => ({ type: `${GedcomXExporter.NAMESPACE}${type}`, value }))
+        });
+        const type = Object.keys(this.tables.NAME_TYPES)
+            .find(key => this.tables.NAME_TYPES[key] === name.type);
+
+        return {
+            ...(type ? { type: `${GedcomXExporter.NAMESPACE}${type}` } : {}),
+            preferred,
+            nameForms: [
+                form(name),
+                ...name.variants.map(variant => form(variant, variant.kind === 'translation' ? variant.method : ''))
+            ],
+            ...this.buildReferences(name)
+        };
+    }
+
+    /**
+     * Build a couple relationship for the partners of a family and a
+     * parent-child relationship for each parent of each child
+     */
+    buildRelationships(family) {
+        const resource = id => ({ resource: `#${this.id(id)}` });
+        const parents = [family.husband, family.wife].filter(id => id && this.parser.individuals.has(id));
+        const relationships = [];
+
+        if (parents.length === 2) {
+            relationships.push({
+                type: `${GedcomXExporter.NAMESPACE}Couple`,
+                person1: resource(parents[0]),
+                person2: resource(parents[1]),
+                facts: family.events.map(event => this.buildFact(event)),
+                ...this.buildReferences(family)
+            });
+        }
+
+        family.children
+            .filter(childId => this.parser.individuals.has(childId))
+            .forEach(childId => {
+                const link = this.parser.getParentFamilyLink(this.parser.individuals.get(childId), family.id);
+                const pedigree = Object.keys(this.tables.PEDIGREES)
+                    .find(type => link && link.pedigree !== 'birth' && this.tables.PEDIGREES[type] === link.pedigree);
+
+                parents.forEach(parentId => relationships.push({
+                    type: `${GedcomXExporter.NAMESPACE}ParentChild`,
+                    person1: resource(parentId),
+                    person2: resource(childId),
+                    ...(pedigree ? { facts: [{ type: `${GedcomXExporter.NAMESPACE}${pedigree}` }] } : {})
+                }));
+            });
+
+        return relationships;
+    }
+
+    /**
+     * Build a fact from a parsed event
+     * EVEN events and tags GEDCOM X has no type for get a data: URI naming the event
+     */
+    buildFact(event) {
+        const fact = {
+            type: event.type === 'EVEN' || !this.typeUri(event.type)
+                ? this.customUri(event.label || event.type)
+                : this.typeUri(event.type)
+        };
+
+        if (event.date) {
+            const formal = this.formatFormalDate(event.dateValue);
+            fact.date = { original: GedcomDate.format(event.dateValue) || event.date };
+            if (formal) fact.date.formal = formal;
+        }
+        if (event.place) fact.place = { original: event.place };
+        if (event.value && event.value !== 'Y') fact.value = event.value;
+
+        return { ...fact, ...this.buildReferences(event) };
+    }
+
+    /**
+     * Build the notes, sources and media references of a conclusion
+     * Empty lists are left out
+     */
+    buildReferences(owner) {
+        const references = {};
+        const notes = (owner.notes || []).filter(Boolean).map(text => ({ text }));
+        const sources = (owner.sources || [])
+            .filter(citation => citation.sourceId)
+            .map(citation => ({
+                description: `#${this.id(citation.sourceId)}`,
+                ...(citation.page ? { qualifiers: [{ name: `${GedcomXExporter.NAMESPACE}Page`, value: citation.page }] } : {})
+            }));
+        const media = (owner.media || [])
+            .filter(link => link.mediaId)
+            .map(link => ({ description: `#${this.id(link.mediaId)}` }));
+
+        if (notes.length > 0) references.notes = notes;
+        if (sources.length > 0) references.sources = sources;
+        if (media.length > 0) references.media = media;
+        return references;
+    }
+
+    /**
+     * Build a source description for a SOUR record
+     */
+    buildSourceDescription(source) {
+        const citation = [source.author, source.title, source.publication].filter(Boolean).join('. ');
+        return {
+            id: this.id(source.id),
+            titles: source.title ? [{ value: source.title }] : [],
+            citations: citation ? [{ value: citation }] : [],
+            ...this.buildReferences(source)
+        };
+    }
+
+    /**
+     * Build a source description for an OBJE record, pointing at its first file
+     */
+    buildMediaDescription(media) {
+        const file = media.files[0] || {};
+        return {
+            id: this.id(media.id),
+            resourceType: `${GedcomXExporter.NAMESPACE}DigitalArtifact`,
+            about: file.file || '',
+            ...(file.format && file.format.includes('/') ? { mediaType: file.format } : {}),
+            titles: media.title ? [{ value: media.title }] : []
+        };
+    }
+
+    /**
+     * Format a parsed date as a GEDCOM X formal date, e.g. "A+1890" or "+1890-06/+1900"
+     * Era years and phrases have no formal form
+     * @returns {string} The formal date, or ''
+     */
+    formatFormalDate(date) {
+        if (!date || !date.valid) return '';
+        const point = value => value ? this.formatFormalPoint(value) : '';
+        const start = point(date.start);
+        const end = point(date.end);
+        if ((date.start && !start) || (date.end && !end)) return '';
+
+        switch (date.qualifier) {
+            case 'ABT':
+            case 'CAL':
+            case 'EST':
+                return `A${start}`;
+            case 'AFT':
+                return `${start}/`;
+            case 'BEF':
+            case 'TO':
+                return `/${end}`;
+            case 'BET':
+                return `${start}/${end}`;
+            case 'FROM':
+                return end ? `${start}/${end}` : `${start}/`;
+            default:
+                return start;
+        }
+    }
+
+    /**
+     * Format a date point as "+yyyy-mm-dd", converting other calendars to Gregorian
+     * Years are astronomical, so 44 B.C. is -0043
+     */
+    formatFormalPoint(point) {
+        if (point.era || point.jdn === null) return '';
+        const gregorian = point.calendar === 'gregorian' ? point : GedcomDate.toGregorianPoint(point);
+
+        const year = gregorian.bc ? 1 - gregorian.year : gregorian.year;
+        const pad = (value, length) => String(Math.abs(value)).padStart(length, '0');
+        let text = `${year < 0 ? '-' : '+'}${pad(year, 4)}`;
+        if (gregorian.month) text += `-${pad(gregorian.month, 2)}`;
+        if (gregorian.month && gregorian.day) text += `-${pad(gregorian.day, 2)}`;
+        return text;
+    }
+
+    /**
+     * Get the GEDCOM X type URI for a GEDCOM tag, or '' if it has none
+     */
+    typeUri(tag) {
+        const type = Object.keys(this.tables.FACT_TAGS).find(key => this.tables.FACT_TAGS[key] === tag);
+        return type ? `${GedcomXExporter.NAMESPACE}${type}` : '';
+    }
+
+    /**
+     * Get a data: URI for a type GEDCOM X does not define
+     */
+    customUri(label) {
+        return `data:,${encodeURIComponent(label)}`;
+    }
+
+    /**
+     * Get a GEDCOM X id from an xref
+     */
+    id(xref) {
+        return xref.replace(/@/g, '');
+    }
+}
+
+GedcomXExporter.NAMESPACE = 'http://gedcomx.org/';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GedcomXExporter;
+}
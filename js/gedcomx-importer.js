@@ -0,0 +1,442 @@
+/**
+ * GEDCOM X Importer
+ * Converts a GEDCOM X JSON document into GEDCOM records, so it loads through
+ * the same parser, checks and writer as a GEDCOM file
+ */
+
+class GedcomXImporter {
+    /**
+     * Whether text looks like a GEDCOM X JSON document
+     * @param {string} text - The start of a file
+     */
+    static isGedcomX(text) {
+        return /^\s*\{/.test(text) && /"(persons|relationships)"\s*:/.test(text.slice(0, 65536));
+    }
+
+    constructor() {
+        this.xrefs = new Map();
+        // Every xref handed out, so a new one can be checked without scanning them all
+        this.usedXrefs = new Set();
+        this.descriptions = new Map();
+        this.places = new Map();
+        this.genders = new Map();
+    }
+
+    /**
+     * Convert a GEDCOM X document to GEDCOM 5.5.1 record nodes
+     * GEDCOM X has no families, so one is made for each couple and for each
+     * set of parents a child has
+     * @param {string} json - The document text
+     * @returns {Array} Record nodes for GedcomWriter.writeRecords
+     */
+    import(json) {
+        let doc;
+        try {
+            doc = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Not a valid GEDCOM X file: ${error.message}`);
+        }
+
+        const persons = doc.persons || [];
+        const relationships = doc.relationships || [];
+        const sources = doc.sourceDescriptions || [];
+
+        this.xrefs.clear();
+        this.usedXrefs.clear();
+        this.descriptions = new Map(sources.map(source => [source.id, source]));
+        this.places = new Map((doc.places || []).map(place => [place.id, place]));
+        this.genders = new Map(persons.map(person => [person.id, this.getSex(person)]));
+        [...persons, ...sources].forEach(item => this.assignXref(item.id));
+
+        const families = this.buildFamilies(relationships);
+        const individuals = persons.map(person => this.buildIndividual(person, families));
+
+        return [
+            this.buildHeader(),
+            ...individuals,
+            ...families.map(family => this.buildFamily(family)),
+            ...sources.map(source => this.buildSource(source))
+        ];
+    }
+
+    /**
+     * Give an id a unique xref, keeping the id where it is usable
+     */
+    assignXref(id) {
+        let xref = `@${String(id).replace(/[^A-Za-z0-9_-]/g, '')}@`;
+        for (let i = 1; xref === '@@' || this.usedXrefs.has(xref); i++) {
+            xref = `@X${i}@`;
+        }
+        this.xrefs.set(id, xref);
+        this.usedXrefs.add(xref);
+        return xref;
+    }
+
+    /**
+     * Build the HEAD record
+     */
+    buildHeader() {
+        return GedcomWriter.createNode('HEAD', '', [GedcomWriter.createNode('SOUR', 'GEDCOM X')]);
+    }
+
+    /**
+     * Group couple and parent-child relationships into families
+     * @returns {Array} Families { xref, parents, children [{ id, pedigree }], facts }
+     */
+    buildFamilies(relationships) {
+        const families = new Map();
+        const familyOf = parentIds => {
+            const key = [...parentIds].sort().join('|');
+            if (!families.has(key)) {
+                let n = families.size + 1;
+                while (this.usedXrefs.has(`@F${n}@`)) n++;
+                const xref = `@F${n}@`;
+                this.xrefs.set(`family:${key}`, xref);
+                this.usedXrefs.add(xref);
+                families.set(key, { xref, parents: parentIds, children: [], facts: [] });
+            }
+            return families.get(key);
+        };
+
+        relationships
+            .filter(relationship => this.typeOf(relationship) === 'Couple')
+            .forEach(relationship => {
+                const parents = [this.resourceId(relationship.person1), this.resourceId(relationship.person2)]
+                    .filter(id => this.xrefs.has(id));
+                if (parents.length > 0) familyOf(parents).facts.push(...(relationship.facts || []));
+            });
+
+        // A child's parents of the same kind (birth, adoptive...) form one family
+        const parentLinks = new Map();
+        relationships
+            .filter(relationship => this.typeOf(relationship) === 'ParentChild')
+            .forEach(relationship => {
+                const parent = this.resourceId(relationship.person1);
+                const child = this.resourceId(relationship.person2);
+                if (!this.xrefs.has(parent) || !this.xrefs.has(child)) return;
+
+                const fact = (relationship.facts || [])
+                    .find(item => GedcomXImporter.PEDIGREES[this.typeOf(item)]);
+                const pedigree = fact ? GedcomXImporter.PEDIGREES[this.typeOf(fact)] : 'birth';
+                const key = `${child}|${pedigree}`;
+                if (!parentLinks.has(key)) parentLinks.set(key, { child, pedigree, parents: [] });
+                parentLinks.get(key).parents.push(parent);
+            });
+
+        parentLinks.forEach(({ child, pedigree, parents }) => {
+            for (let i = 0; i < parents.length; i += 2) {
+                familyOf(parents.slice(i, i + 2)).children.push({ id: child, pedigree });
+            }
+        });
+
+        // Order partners husband first, as far as their gender says
+        const isFemale = id => this.genders.get(id) === 'F';
+        families.forEach(family => family.parents.sort((a, b) => isFemale(a) - isFemale(b)));
+
+        return [...families.values()];
+    }
+
+    /**
+     * Build an INDI record from a person
+     */
+    buildIndividual(person, families) {
+        const node = GedcomWriter.createNode;
+        const names = [...(person.names || [])].sort((a, b) => Boolean(b.preferred) - Boolean(a.preferred));
+        const sex = this.getSex(person);
+
+        return node('INDI', '', [
+            ...names.map(name => this.buildName(name)),
+            sex ? node('SEX', sex) : null,
+            ...(person.facts || []).map(fact => this.buildFact(fact)),
+            ...families
+                .filter(family => family.children.some(child => child.id === person.id))
+                .map(family => {
+                    const { pedigree } = family.children.find(child => child.id === person.id);
+                    return node('FAMC', family.xref, [pedigree !== 'birth' ? node('PEDI', pedigree) : null]);
+                }),
+            ...families
+                .filter(family => family.parents.includes(person.id))
+                .map(family => node('FAMS', family.xref)),
+            ...this.buildReferences(person)
+        ], this.xrefs.get(person.id));
+    }
+
+    /**
+     * Build a NAME structure from a name's first name form
+     */
+    buildName(name) {
+        const node = GedcomWriter.createNode;
+        const form = (name.nameForms || [])[0] || {};
+        const parts = {};
+        (form.parts || []).forEach(part => {
+            const type = this.typeOf(part);
+            parts[type] = parts[type] ? `${parts[type]} ${part.value}` : part.value;
+        });
+
+        const full = parts.Given || parts.Surname
+            ? [parts.Prefix, parts.Given, parts.Surname ? `/${parts.Surname}/` : '', parts.Suffix]
+                .filter(Boolean).join(' ')
+            : form.fullText || '';
+        const type = GedcomXImporter.NAME_TYPES[this.typeOf(name)];
+
+        return node('NAME', full, [
+            type ? node('TYPE', type) : null,
+            parts.Prefix ? node('NPFX', parts.Prefix) : null,
+            parts.Given ? node('GIVN', parts.Given) : null,
+            parts.Surname ? node('SURN', parts.Surname) : null,
+            parts.Suffix ? node('NSFX', parts.Suffix) : null,
+            ...this.buildReferences(name)
+        ]);
+    }
+
+    /**
+     * Build an FAM record from a family made by buildFamilies
+     */
+    buildFamily(family) {
+        const node = GedcomWriter.createNode;
+        const [first, second] = family.parents;
+        const firstTag = this.genders.get(first) === 'F' && !second ? 'WIFE' : 'HUSB';
+
+        return node('FAM', '', [
+            first ? node(firstTag, this.xrefs.get(first)) : null,
+            second ? node('WIFE', this.xrefs.get(second)) : null,
+            ...family.children.map(child => node('CHIL', this.xrefs.get(child.id))),
+            ...family.facts.map(fact => this.buildFact(fact))
+        ], family.xref);
+    }
+
+    /**
+     * Build an event or attribute structure from a fact
+     * Types without a GEDCOM tag become EVEN with a TYPE
+     */
+    buildFact(fact) {
+        const node = GedcomWriter.createNode;
+        const type = this.typeOf(fact);
+        const tag = GedcomXImporter.FACT_TAGS[type];
+        const date = fact.date ? this.formatDate(fact.date) : '';
+        const place = fact.place ? this.getPlaceName(fact.place) : '';
+
+        return node(tag || 'EVEN', fact.value || '', [
+            tag ? null : node('TYPE', type.replace(/([a-z])([A-Z])/g, '$1 $2')),
+            date ? node('DATE', date) : null,
+            place ? node('PLAC', place) : null,
+            ...this.buildReferences(fact)
+        ]);
+    }
+
+    /**
+     * Build NOTE and SOUR links for the notes and source references of a conclusion
+     * Sources that describe a media file are linked as OBJE instead
+     */
+    buildReferences(conclusion) {
+        const node = GedcomWriter.createNode;
+        const references = [...(conclusion.sources || []), ...(conclusion.media || [])];
+
+        return [
+            ...(conclusion.notes || []).map(note =>
+                node('NOTE', [note.subject, note.text].filter(Boolean).join('\n'))),
+            ...references.map(reference => {
+                const id = reference.descriptionId || this.resourceId(reference.description);
+                const xref = this.xrefs.get(id);
+                if (!xref) return null;
+                if (this.isMedia(this.descriptions.get(id))) return node('OBJE', xref);
+
+                const page = (reference.qualifiers || []).find(qualifier => this.typeOf(qualifier, 'name') === 'Page');
+                return node('SOUR', xref, [page ? node('PAGE', page.value) : null]);
+            })
+        ];
+    }
+
+    /**
+     * Build a SOUR record, or an OBJE record for a media file, from a source description
+     */
+    buildSource(source) {
+        const node = GedcomWriter.createNode;
+        const title = ((source.titles || [])[0] || {}).value || '';
+        const citation = ((source.citations || [])[0] || {}).value || '';
+        const xref = this.xrefs.get(source.id);
+
+        if (this.isMedia(source)) {
+            return node('OBJE', '', [
+                node('FILE', source.about || '', [
+                    source.mediaType ? node('FORM', source.mediaType) : null,
+                    title ? node('TITL', title) : null
+                ]),
+                ...this.buildReferences(source)
+            ], xref);
+        }
+
+        return node('SOUR', '', [
+            node('TITL', title || citation),
+            title && citation ? node('TEXT', citation) : null,
+            ...this.buildReferences(source)
+        ], xref);
+    }
+
+    /**
+     * Whether a source description describes a media file rather than a source
+     */
+    isMedia(source) {
+        return Boolean(source) && (this.typeOf(source, 'resourceType') === 'DigitalArtifact' ||
+            /^image\//.test(source.mediaType || ''));
+    }
+
+    /**
+     * Format a GEDCOM X date as a GEDCOM date value
+     * The formal value is used when it can be expressed; otherwise the
+     * original text is kept as a date phrase
+     */
+    formatDate(date) {
+        const formal = date.formal ? this.formatFormalDate(date.formal) : '';
+        if (formal) return formal;
+        return date.original ? `(${date.original})` : '';
+    }
+
+    /**
+     * Format a GEDCOM X formal date such as "+1890-06", "A+1890" or "+1890/+1900"
+     * @returns {string} The GEDCOM date, or '' for durations and recurring dates
+     */
+    formatFormalDate(formal) {
+        const approximate = formal.startsWith('A');
+        const value = approximate ? formal.slice(1) : formal;
+
+        if (value.includes('/')) {
+            const [start, end] = value.split('/').map(part => part ? this.formatSimpleDate(part) : '');
+            if (start === null || end === null) return '';
+            if (start && end) return `BET ${start} AND ${end}`;
+            if (start) return `AFT ${start}`;
+            if (end) return `BEF ${end}`;
+            return '';
+        }
+
+        const simple = this.formatSimpleDate(value);
+        if (!simple) return '';
+        return approximate ? `ABT ${simple}` : simple;
+    }
+
+    /**
+     * Format a simple GEDCOM X date, "+yyyy-mm-dd" with optional month, day and time
+     * Years are astronomical, so -0043 is 44 B.C.
+     * @returns {string|null} The GEDCOM date, or null if the value is not a simple date
+     */
+    formatSimpleDate(value) {
+        const match = value.match(/^([+-])(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?(?:T.*)?$/);
+        if (!match) return null;
+
+        const year = Number(match[2]);
+        const month = Number(match[3]) || 0;
+        const day = Number(match[4]) || 0;
+
+        return [
+            day && month ? day : null,
+            month ? GedcomDate.MONTHS[month - 1] : null,
+            match[1] === '-' ? `${1 + year} B.C.` : year
+        ].filter(part => part !== null).join(' ');
+    }
+
+    /**
+     * Get the name of a fact's place from its original text or its place description
+     */
+    getPlaceName(place) {
+        if (place.original) return place.original;
+        const description = this.places.get(this.resourceId(place.description));
+        return description ? ((description.names || [])[0] || {}).value || '' : '';
+    }
+
+    /**
+     * Get the GEDCOM SEX value of a person
+     */
+    getSex(person) {
+        if (!person.gender) return '';
+        return GedcomXImporter.GENDERS[this.typeOf(person.gender)] || 'U';
+    }
+
+    /**
+     * Get the local name of a type URI, e.g. "Birth" for http://gedcomx.org/Birth
+     * or "Military Service" for data:,Military%20Service
+     */
+    typeOf(item, field = 'type') {
+        const type = item && item[field] ? String(item[field]) : '';
+        if (type.startsWith('data:,')) return decodeURIComponent(type.slice(6));
+        return type.replace(/^.*[/#]/, '');
+    }
+
+    /**
+     * Get the id a resource reference points to, e.g. "P1" for { resource: "#P1" }
+     */
+    resourceId(reference) {
+        const uri = reference && typeof reference === 'object' ? reference.resource || reference.resourceId : reference;
+        return uri ? String(uri).replace(/^.*#/, '') : '';
+    }
+}
+
+// GEDCOM X fact types with a GEDCOM tag
+GedcomXImporter.FACT_TAGS = {
+    Adoption: 'ADOP',
+    AdultChristening: 'CHRA',
+    Annulment: 'ANUL',
+    Baptism: 'BAPM',
+    BarMitzvah: 'BARM',
+    BatMitzvah: 'BASM',
+    Birth: 'BIRT',
+    Blessing: 'BLES',
+    Burial: 'BURI',
+    Caste: 'CAST',
+    Census: 'CENS',
+    Christening: 'CHR',
+    Confirmation: 'CONF',
+    Cremation: 'CREM',
+    Death: 'DEAT',
+    Divorce: 'DIV',
+    DivorceFiling: 'DIVF',
+    Education: 'EDUC',
+    Emigration: 'EMIG',
+    Engagement: 'ENGA',
+    FirstCommunion: 'FCOM',
+    Graduation: 'GRAD',
+    Immigration: 'IMMI',
+    Marriage: 'MARR',
+    MarriageBanns: 'MARB',
+    MarriageContract: 'MARC',
+    MarriageLicense: 'MARL',
+    MarriageSettlement: 'MARS',
+    NationalId: 'IDNO',
+    Nationality: 'NATI',
+    Naturalization: 'NATU',
+    NumberOfChildren: 'NCHI',
+    Occupation: 'OCCU',
+    Ordination: 'ORDN',
+    PhysicalDescription: 'DSCR',
+    Probate: 'PROB',
+    Property: 'PROP',
+    Religion: 'RELI',
+    Residence: 'RESI',
+    Retirement: 'RETI',
+    Will: 'WILL'
+};
+
+// Parent-child fact types as PEDI values
+GedcomXImporter.PEDIGREES = {
+    BiologicalParent: 'birth',
+    AdoptiveParent: 'adopted',
+    FosterParent: 'foster',
+    StepParent: 'step'
+};
+
+GedcomXImporter.GENDERS = {
+    Male: 'M',
+    Female: 'F',
+    Unknown: 'U'
+};
+
+// GEDCOM X name types with a GEDCOM NAME TYPE
+GedcomXImporter.NAME_TYPES = {
+    BirthName: 'birth',
+    MarriedName: 'married',
+    AlsoKnownAs: 'aka'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GedcomXImporter;
+}
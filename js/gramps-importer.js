@@ -0,0 +1,561 @@
+/**
+ * Gramps Importer
+ * Converts a Gramps XML database (.gramps) into GEDCOM records, so it loads
+ * through the same parser, checks and writer as a GEDCOM file
+ */
+
+class GrampsImporter {
+    /**
+     * Whether text looks like a Gramps XML database
+     * @param {string} text - The start of a file
+     */
+    static isGramps(text) {
+        return /<database\b[^>]*gramps-project\.org/.test(text.slice(0, 4096));
+    }
+
+    constructor() {
+        this.elements = new Map();
+        this.xrefs = new Map();
+        // References left out because their handle is not in the database
+        this.warnings = [];
+    }
+
+    /**
+     * Convert a Gramps XML database to GEDCOM 5.5.1 record nodes
+     * @param {string} xml - The uncompressed XML
+     * @returns {Array} Record nodes for GedcomWriter.writeRecords; references that
+     *                  could not be resolved are left out and listed in warnings
+     */
+    import(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0 || !GrampsImporter.isGramps(xml)) {
+            throw new Error('Not a valid Gramps XML file');
+        }
+
+        // Objects refer to each other by handle; GEDCOM needs an xref for each
+        this.elements.clear();
+        this.xrefs.clear();
+        this.warnings = [];
+        Array.from(doc.documentElement.getElementsByTagName('*'))
+            .filter(element => element.hasAttribute('handle'))
+            .forEach(element => {
+                const handle = element.getAttribute('handle');
+                const id = (element.getAttribute('id') || handle).replace(/[^A-Za-z0-9_-]/g, '');
+                this.elements.set(handle, element);
+                this.xrefs.set(handle, `@${id}@`);
+            });
+
+        const root = doc.documentElement;
+        return [
+            this.buildHeader(this.child(root, 'header')),
+            ...this.objectsOf(root, 'people', 'person').map(person => this.buildIndividual(person)),
+            ...this.objectsOf(root, 'families', 'family').map(family => this.buildFamily(family)),
+            ...this.objectsOf(root, 'sources', 'source').map(source => this.buildSource(source)),
+            ...this.objectsOf(root, 'repositories', 'repository').map(repository => this.buildRepository(repository)),
+            ...this.objectsOf(root, 'objects', 'object').map(object => this.buildMedia(object)),
+            ...this.objectsOf(root, 'notes', 'note').map(note => this.buildNote(note))
+        ];
+    }
+
+    /**
+     * Get the primary objects listed in one section of the database
+     */
+    objectsOf(root, section, tag) {
+        const container = this.child(root, section);
+        return container ? this.children(container, tag) : [];
+    }
+
+    /**
+     * Build the HEAD record, naming Gramps as the source system
+     */
+    buildHeader(header) {
+        const node = GedcomWriter.createNode;
+        const created = header ? this.child(header, 'created') : null;
+        const date = created ? this.formatIsoDate(created.getAttribute('date') || '', 'gregorian') : '';
+
+        return node('HEAD', '', [
+            node('SOUR', 'Gramps', [
+                created && created.getAttribute('version') ? node('VERS', created.getAttribute('version')) : null
+            ]),
+            date ? node('DATE', date) : null
+        ]);
+    }
+
+    /**
+     * Build an INDI record from a person element
+     */
+    buildIndividual(person) {
+        const node = GedcomWriter.createNode;
+        const handle = person.getAttribute('handle');
+        const children = [];
+
+        // Gramps lists the preferred name first; the others are alternates
+        this.children(person, 'name').forEach(name => children.push(this.buildName(name)));
+
+        const gender = this.text(person, 'gender');
+        if (gender) children.push(node('SEX', gender === 'F' || gender === 'M' ? gender : 'U'));
+
+        this.children(person, 'eventref')
+            .filter(ref => (ref.getAttribute('role') || 'Primary') === 'Primary')
+            .forEach(ref => children.push(this.buildEvent(this.resolve(ref))));
+
+        this.children(person, 'attribute').forEach(attribute => children.push(this.buildAttribute(attribute)));
+
+        this.children(person, 'childof').forEach(ref => {
+            const family = this.resolve(ref);
+            const childRef = family && this.children(family, 'childref')
+                .find(childref => childref.getAttribute('hlink') === handle);
+            const pedigree = childRef ? this.getPedigree(childRef) : '';
+            children.push(this.link('FAMC', ref, [pedigree ? node('PEDI', pedigree) : null]));
+        });
+        this.children(person, 'parentin').forEach(ref => children.push(this.link('FAMS', ref)));
+
+        children.push(...this.buildReferences(person));
+        return node('INDI', '', children, this.xrefs.get(handle));
+    }
+
+    /**
+     * Build a NAME structure with its name pieces
+     */
+    buildName(name) {
+        const node = GedcomWriter.createNode;
+        const surnames = this.children(name, 'surname');
+        const primary = surnames.find(surname => surname.getAttribute('prim') !== '0') || surnames[0];
+        const surname = primary ? primary.textContent.trim() : '';
+        const prefix = primary ? primary.getAttribute('prefix') || '' : '';
+        const given = this.text(name, 'first');
+        const suffix = this.text(name, 'suffix');
+        const type = GrampsImporter.NAME_TYPES[name.getAttribute('type')];
+
+        const full = [given, surname || prefix ? `/${[prefix, surname].filter(Boolean).join(' ')}/` : '', suffix]
+            .filter(Boolean).join(' ');
+
+        return node('NAME', full, [
+            type ? node('TYPE', type) : null,
+            this.text(name, 'title') ? node('NPFX', this.text(name, 'title')) : null,
+            given ? node('GIVN', given) : null,
+            this.text(name, 'nick') ? node('NICK', this.text(name, 'nick')) : null,
+            prefix ? node('SPFX', prefix) : null,
+            surname ? node('SURN', surname) : null,
+            suffix ? node('NSFX', suffix) : null,
+            ...this.buildReferences(name)
+        ]);
+    }
+
+    /**
+     * Build an FAM record from a family element
+     */
+    buildFamily(family) {
+        const node = GedcomWriter.createNode;
+        const father = this.child(family, 'father');
+        const mother = this.child(family, 'mother');
+
+        return node('FAM', '', [
+            father ? this.link('HUSB', father) : null,
+            mother ? this.link('WIFE', mother) : null,
+            ...this.children(family, 'childref').map(ref => this.link('CHIL', ref)),
+            ...this.children(family, 'eventref')
+                .filter(ref => (ref.getAttribute('role') || 'Family') === 'Family')
+                .map(ref => this.buildEvent(this.resolve(ref))),
+            ...this.buildReferences(family)
+        ], this.xrefs.get(family.getAttribute('handle')));
+    }
+
+    /**
+     * Build an event structure from a Gramps event
+     * Types without a GEDCOM tag become EVEN with a TYPE
+     */
+    buildEvent(event) {
+        const node = GedcomWriter.createNode;
+        if (!event) return null;
+
+        const type = this.text(event, 'type');
+        const tag = GrampsImporter.EVENT_TAGS[type];
+        const description = this.text(event, 'description');
+        const place = this.resolve(this.child(event, 'place'));
+
+        // Gramps fills in descriptions such as "Birth of Frodo"; only descriptive tags keep them
+        const value = !tag || GrampsImporter.DESCRIPTIVE_TAGS.includes(tag) ? description : '';
+
+        return node(tag || 'EVEN', value, [
+            tag ? null : node('TYPE', type),
+            this.buildDate(event),
+            place ? node('PLAC', this.getPlaceName(place)) : null,
+            ...this.children(event, 'attribute').map(attribute => this.buildEventAttribute(attribute)),
+            ...this.buildReferences(event)
+        ]);
+    }
+
+    /**
+     * Build a fact from an attribute of a person
+     * Types without a GEDCOM attribute tag become FACT with a TYPE
+     */
+    buildAttribute(attribute) {
+        const node = GedcomWriter.createNode;
+        const type = attribute.getAttribute('type');
+        const tag = GrampsImporter.ATTRIBUTE_TAGS[type];
+
+        return node(tag || 'FACT', attribute.getAttribute('value'), [
+            tag ? null : node('TYPE', type),
+            ...this.buildReferences(attribute)
+        ]);
+    }
+
+    /**
+     * Build the detail line for an attribute of an event: AGE, CAUS or AGNC
+     * Other attributes have no place in an event structure and become a NOTE
+     */
+    buildEventAttribute(attribute) {
+        const node = GedcomWriter.createNode;
+        const type = attribute.getAttribute('type');
+        const value = attribute.getAttribute('value');
+        const tag = GrampsImporter.EVENT_ATTRIBUTE_TAGS[type];
+
+        return node(tag || 'NOTE', tag ? value : `${type}: ${value}`);
+    }
+
+    /**
+     * Build NOTE, SOUR and OBJE links for the references an element holds
+     */
+    buildReferences(element) {
+        return [
+            ...this.children(element, 'noteref').map(ref => this.link('NOTE', ref)),
+            ...this.children(element, 'citationref').map(ref => this.buildCitation(this.resolve(ref))),
+            ...this.children(element, 'objref').map(ref => this.link('OBJE', ref))
+        ];
+    }
+
+    /**
+     * Build a source citation; Gramps keeps citations as separate objects
+     */
+    buildCitation(citation) {
+        const node = GedcomWriter.createNode;
+        if (!citation) return null;
+
+        const source = this.child(citation, 'sourceref');
+        const sourceId = source ? this.pointer(source) : null;
+        const confidence = this.text(citation, 'confidence');
+        const date = this.buildDate(citation);
+
+        return node('SOUR', sourceId || '', [
+            this.text(citation, 'page') ? node('PAGE', this.text(citation, 'page')) : null,
+            date ? node('DATA', '', [date]) : null,
+            // Gramps rates 0 to 4; GEDCOM 0 to 3
+            confidence ? node('QUAY', Math.min(Number(confidence), 3)) : null,
+            ...this.children(citation, 'noteref').map(ref => this.link('NOTE', ref))
+        ]);
+    }
+
+    /**
+     * Build a SOUR record
+     */
+    buildSource(source) {
+        const node = GedcomWriter.createNode;
+        const field = (tag, name) => this.text(source, name) ? node(tag, this.text(source, name)) : null;
+
+        return node('SOUR', '', [
+            field('TITL', 'stitle'),
+            field('AUTH', 'sauthor'),
+            field('PUBL', 'spubinfo'),
+            field('ABBR', 'sabbrev'),
+            ...this.children(source, 'reporef').map(ref => this.link('REPO', ref, [
+                ref.getAttribute('callno') ? node('CALN', ref.getAttribute('callno')) : null
+            ])),
+            ...this.buildReferences(source)
+        ], this.xrefs.get(source.getAttribute('handle')));
+    }
+
+    /**
+     * Build a REPO record
+     */
+    buildRepository(repository) {
+        const node = GedcomWriter.createNode;
+        return node('REPO', '', [
+            node('NAME', this.text(repository, 'rname')),
+            ...this.buildReferences(repository)
+        ], this.xrefs.get(repository.getAttribute('handle')));
+    }
+
+    /**
+     * Build an OBJE record from a media object
+     */
+    buildMedia(object) {
+        const node = GedcomWriter.createNode;
+        const file = this.child(object, 'file');
+
+        return node('OBJE', '', [
+            file ? node('FILE', file.getAttribute('src'), [
+                file.getAttribute('mime') ? node('FORM', file.getAttribute('mime')) : null,
+                file.getAttribute('description') ? node('TITL', file.getAttribute('description')) : null
+            ]) : null,
+            ...this.buildReferences(object)
+        ], this.xrefs.get(object.getAttribute('handle')));
+    }
+
+    /**
+     * Build a NOTE record
+     */
+    buildNote(note) {
+        return GedcomWriter.createNode('NOTE', this.text(note, 'text'), [],
+            this.xrefs.get(note.getAttribute('handle')));
+    }
+
+    /**
+     * Build a DATE structure from the dateval, daterange, datespan or datestr of an element
+     */
+    buildDate(element) {
+        const value = this.formatDate(element);
+        return value ? GedcomWriter.createNode('DATE', value) : null;
+    }
+
+    /**
+     * Format the date of an element as a GEDCOM date value
+     * @returns {string} The date, or '' if the element has none
+     */
+    formatDate(element) {
+        const text = this.child(element, 'datestr');
+        if (text) return `(${text.getAttribute('val')})`;
+
+        const date = this.child(element, 'dateval') || this.child(element, 'daterange') ||
+            this.child(element, 'datespan');
+        if (!date) return '';
+
+        const calendar = GrampsImporter.CALENDARS[date.getAttribute('cformat') || 'Gregorian'];
+        if (!calendar) {
+            // Gramps calendars GEDCOM cannot express are kept as phrases
+            const parts = ['val', 'start', 'stop'].map(name => date.getAttribute(name)).filter(Boolean);
+            return `(${parts.join(' - ')} ${date.getAttribute('cformat')})`;
+        }
+
+        const point = value => this.formatIsoDate(value || '', calendar);
+        const escape = calendar === 'gregorian' ? '' : `@#D${GedcomDate.CALENDARS[calendar].escape}@ `;
+        const dated = value => `${escape}${point(value)}`;
+
+        if (date.localName === 'daterange') {
+            return `BET ${dated(date.getAttribute('start'))} AND ${dated(date.getAttribute('stop'))}`;
+        }
+        if (date.localName === 'datespan') {
+            return `FROM ${dated(date.getAttribute('start'))} TO ${dated(date.getAttribute('stop'))}`;
+        }
+
+        // GEDCOM has room for one qualifier, so a before/after/about type wins over the quality
+        const qualifier = GrampsImporter.DATE_MODIFIERS[date.getAttribute('type')] ||
+            GrampsImporter.DATE_QUALITIES[date.getAttribute('quality')];
+        const value = dated(date.getAttribute('val'));
+        return qualifier ? `${qualifier} ${value}` : value;
+    }
+
+    /**
+     * Format a Gramps yyyy-mm-dd date, where zero parts are unknown
+     * @param {string} value - For example "1890-06-00"
+     * @param {string} calendar - A key of GedcomDate.CALENDARS
+     */
+    formatIsoDate(value, calendar) {
+        const match = value.match(/^(-?)(\d+)(?:-(\d+))?(?:-(\d+))?/);
+        if (!match) return value;
+
+        const year = Number(match[2]);
+        const month = Number(match[3]) || 0;
+        const day = Number(match[4]) || 0;
+        const months = GedcomDate.CALENDARS[calendar].months;
+
+        return [
+            day && month ? day : null,
+            month ? months[month - 1] : null,
+            match[1] ? `${year} B.C.` : year
+        ].filter(part => part !== null).join(' ');
+    }
+
+    /**
+     * Get the place name of a placeobj with the places that enclose it,
+     * e.g. "Hobbiton, Westfarthing, The Shire"
+     */
+    getPlaceName(place) {
+        const title = this.text(place, 'ptitle');
+        if (title) return title;
+
+        const names = [];
+        const seen = new Set();
+        let current = place;
+        while (current && !seen.has(current)) {
+            seen.add(current);
+            const name = this.child(current, 'pname');
+            if (name) names.push(name.getAttribute('value'));
+            current = this.resolve(this.child(current, 'placeref'));
+        }
+        return names.join(', ');
+    }
+
+    /**
+     * Get the PEDI value for a childref from its relation to each parent
+     * A relation other than birth to either parent wins
+     */
+    getPedigree(childRef) {
+        const relations = [childRef.getAttribute('frel'), childRef.getAttribute('mrel')]
+            .map(relation => GrampsImporter.PEDIGREES[relation || 'Birth'])
+            .filter(Boolean);
+        return relations.find(relation => relation !== 'birth') || '';
+    }
+
+    /**
+     * Get the element a reference points to
+     */
+    resolve(ref) {
+        return ref ? this.elements.get(ref.getAttribute('hlink')) || null : null;
+    }
+
+    /**
+     * Get the xref of the element a reference points to
+     * A handle missing from the database is listed in warnings
+     * @returns {string|null} The xref, or null if the handle is unknown
+     */
+    pointer(ref) {
+        const handle = ref.getAttribute('hlink');
+        if (this.xrefs.has(handle)) return this.xrefs.get(handle);
+
+        // Name the object holding the reference: the nearest ancestor with a handle
+        let owner = ref.parentNode;
+        while (owner && !(owner.hasAttribute && owner.hasAttribute('handle'))) owner = owner.parentNode;
+        const ownerXref = owner ? this.xrefs.get(owner.getAttribute('handle')) : null;
+        this.warnings.push({
+            personId: owner && owner.localName === 'person' ? ownerXref : null,
+            message: `${ownerXref || 'A record'} refers to ${ref.localName} ${handle}, which is not in the file; the reference was left out`
+        });
+        return null;
+    }
+
+    /**
+     * Build a pointer line to the element a reference points to
+     * 5.5.1 has no null pointer, so an unknown handle leaves the line out
+     * @returns {Object|null} The node, or null if the handle is unknown
+     */
+    link(tag, ref, children = []) {
+        const xref = this.pointer(ref);
+        return xref ? GedcomWriter.createNode(tag, xref, children) : null;
+    }
+
+    /**
+     * Get the first child element with a local name
+     */
+    child(element, name) {
+        return this.children(element, name)[0] || null;
+    }
+
+    /**
+     * Get the child elements with a local name, ignoring the Gramps namespace
+     */
+    children(element, name) {
+        return Array.from(element.children).filter(child => child.localName === name);
+    }
+
+    /**
+     * Get the trimmed text of the first child element with a local name
+     */
+    text(element, name) {
+        const child = this.child(element, name);
+        return child ? child.textContent.trim() : '';
+    }
+}
+
+// Gramps event types with a GEDCOM tag
+GrampsImporter.EVENT_TAGS = {
+    'Birth': 'BIRT',
+    'Death': 'DEAT',
+    'Burial': 'BURI',
+    'Cremation': 'CREM',
+    'Baptism': 'BAPM',
+    'Christening': 'CHR',
+    'Adult Christening': 'CHRA',
+    'Bar Mitzvah': 'BARM',
+    'Bas Mitzvah': 'BASM',
+    'Blessing': 'BLES',
+    'Confirmation': 'CONF',
+    'First Communion': 'FCOM',
+    'Ordination': 'ORDN',
+    'Adopted': 'ADOP',
+    'Census': 'CENS',
+    'Education': 'EDUC',
+    'Emigration': 'EMIG',
+    'Immigration': 'IMMI',
+    'Naturalization': 'NATU',
+    'Graduation': 'GRAD',
+    'Retirement': 'RETI',
+    'Probate': 'PROB',
+    'Will': 'WILL',
+    'Residence': 'RESI',
+    'Occupation': 'OCCU',
+    'Religion': 'RELI',
+    'Nobility Title': 'TITL',
+    'Property': 'PROP',
+    'Marriage': 'MARR',
+    'Marriage Banns': 'MARB',
+    'Marriage Contract': 'MARC',
+    'Marriage License': 'MARL',
+    'Marriage Settlement': 'MARS',
+    'Engagement': 'ENGA',
+    'Divorce': 'DIV',
+    'Divorce Filing': 'DIVF',
+    'Annulment': 'ANUL'
+};
+
+// Tags whose value is the fact itself, so the event description is kept
+GrampsImporter.DESCRIPTIVE_TAGS = ['OCCU', 'RELI', 'TITL', 'PROP', 'EDUC'];
+
+// Gramps attribute types with a GEDCOM tag
+GrampsImporter.ATTRIBUTE_TAGS = {
+    'Caste': 'CAST',
+    'Description': 'DSCR',
+    'Identification Number': 'IDNO',
+    'National Origin': 'NATI',
+    'Nationality': 'NATI',
+    'Number of Children': 'NCHI',
+    'Social Security Number': 'SSN',
+    'Nobility Title': 'TITL',
+    'Occupation': 'OCCU'
+};
+
+// Gramps attribute types that are details of the event they belong to
+GrampsImporter.EVENT_ATTRIBUTE_TAGS = {
+    'Cause': 'CAUS',
+    'Age': 'AGE',
+    'Agency': 'AGNC'
+};
+
+// Gramps name types with a GEDCOM NAME TYPE
+GrampsImporter.NAME_TYPES = {
+    'Birth Name': 'birth',
+    'Also Known As': 'aka',
+    'Married Name': 'married'
+};
+
+// Gramps child relations as PEDI values
+GrampsImporter.PEDIGREES = {
+    'Birth': 'birth',
+    'Adopted': 'adopted',
+    'Foster': 'foster',
+    'Stepchild': 'step'
+};
+
+// Gramps calendars as keys of GedcomDate.CALENDARS
+GrampsImporter.CALENDARS = {
+    'Gregorian': 'gregorian',
+    'Julian': 'julian',
+    'Hebrew': 'hebrew',
+    'French Republican': 'french'
+};
+
+GrampsImporter.DATE_MODIFIERS = {
+    before: 'BEF',
+    after: 'AFT',
+    about: 'ABT'
+};
+
+GrampsImporter.DATE_QUALITIES = {
+    estimated: 'EST',
+    calculated: 'CAL'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GrampsImporter;
+}
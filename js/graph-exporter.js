@@ -0,0 +1,187 @@
+/**
+ * Graph Exporter
+ * Writes the nodes and links shown in the tree as Graphviz DOT or a Mermaid
+ * flowchart, with the tree's colours for sexes, pedigrees and link statuses
+ */
+
+class GraphExporter {
+    /**
+     * @param {Array} nodes - Nodes from buildGraphData
+     * @param {Array} links - The links shown, with ids or node objects as ends
+     */
+    constructor(nodes, links) {
+        this.nodes = nodes;
+        const ids = new Set(nodes.map(node => node.id));
+        this.links = links
+            .map(link => ({ ...link, source: this.endId(link.source), target: this.endId(link.target) }))
+            .filter(link => ids.has(link.source) && ids.has(link.target));
+    }
+
+    /**
+     * Export in one of GraphExporter.FORMATS
+     * @param {string} format - 'dot' or 'mermaid'
+     * @returns {string} The graph text
+     */
+    export(format) {
+        switch (format) {
+            case 'dot':
+                return this.toDot();
+            case 'mermaid':
+                return this.toMermaid();
+            default:
+                throw new Error(`Unknown graph format: ${format}`);
+        }
+    }
+
+    /**
+     * Write a Graphviz digraph, parents above children
+     * Marriage links are undirected and do not affect the ranking
+     */
+    toDot() {
+        const quote = text => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+        const attributes = values => Object.entries(values)
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => `${key}=${typeof value === 'string' ? quote(value) : value}`)
+            .join(', ');
+
+        const lines = [
+            'digraph FamilyTree {',
+            '    rankdir=TB;',
+            `    node [${attributes({ shape: 'box', style: 'rounded', fontname: 'Helvetica' })}];`
+        ];
+
+        this.nodes.forEach(node => {
+            const sex = GraphExporter.SEX_COLORS[node.sex];
+            lines.push(`    ${quote(node.id)} [${attributes({ label: this.label(node), color: sex })}];`);
+        });
+
+        this.links.forEach(link => {
+            const style = this.linkStyle(link);
+            const marriage = link.type === 'marriage';
+            lines.push(`    ${quote(link.source)} -> ${quote(link.target)} [${attributes({
+                color: style.color,
+                style: style.dash,
+                penwidth: style.width,
+                dir: marriage ? 'none' : undefined,
+                constraint: marriage ? 'false' : undefined
+            })}];`);
+        });
+
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Write a Mermaid flowchart, parents above children
+     * Marriage links are drawn as dotted lines without arrows
+     */
+    toMermaid() {
+        // Mermaid ids are plain words, so xrefs lose their @ signs
+        const ids = new Map();
+        const used = new Set();
+        this.nodes.forEach((node, index) => {
+            const id = node.id.replace(/[^A-Za-z0-9_]/g, '');
+            const unique = /^[A-Za-z]/.test(id) && !used.has(id) ? id : `n${index}`;
+            used.add(unique);
+            ids.set(node.id, unique);
+        });
+        const escape = text => String(text)
+            .replace(/"/g, '#quot;')
+            .replace(/</g, '#lt;')
+            .replace(/>/g, '#gt;')
+            .replace(/\n/g, '<br/>');
+
+        const lines = ['flowchart TD'];
+        this.nodes.forEach(node => {
+            lines.push(`    ${ids.get(node.id)}["${escape(this.label(node))}"]`);
+        });
+
+        const styles = [];
+        this.links.forEach((link, index) => {
+            const arrow = link.type === 'marriage' ? '-.-' : '-->';
+            lines.push(`    ${ids.get(link.source)} ${arrow} ${ids.get(link.target)}`);
+
+            const style = this.linkStyle(link);
+            const css = [`stroke:${style.color}`];
+            if (style.width) css.push(`stroke-width:${style.width}px`);
+            if (style.dash === 'dashed') css.push('stroke-dasharray:6 4');
+            if (style.dash === 'dotted') css.push('stroke-dasharray:2 4');
+            styles.push(`    linkStyle ${index} ${css.join(',')}`);
+        });
+
+        lines.push(...styles);
+        Object.entries(GraphExporter.SEX_CLASSES).forEach(([sex, name]) => {
+            const members = this.nodes.filter(node => node.sex === sex).map(node => ids.get(node.id));
+            if (members.length === 0) return;
+            lines.push(`    classDef ${name} stroke:${GraphExporter.SEX_COLORS[sex]}`);
+            lines.push(`    class ${members.join(',')} ${name}`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Get a node's label: the name, with the lifespan beneath when known
+     */
+    label(node) {
+        return node.lifespan ? `${node.name}\n${node.lifespan}` : node.name;
+    }
+
+    /**
+     * Get the colour, dash and width of a link, as the tree draws it
+     * @returns {Object} { color, dash, width } where dash is 'dashed', 'dotted' or undefined
+     */
+    linkStyle(link) {
+        if (link.type === 'marriage') {
+            return { color: GraphExporter.LINK_COLORS.marriage, dash: 'dashed' };
+        }
+        if (link.status === 'disproven') {
+            return { color: GraphExporter.LINK_COLORS.disproven, dash: 'dotted' };
+        }
+
+        const pedigree = link.pedigree && link.pedigree !== 'birth' ? GraphExporter.LINK_COLORS[link.pedigree] : null;
+        return {
+            color: pedigree || GraphExporter.LINK_COLORS['parent-child'],
+            dash: link.status === 'challenged' ? 'dashed' : undefined,
+            width: pedigree ? 2 : undefined
+        };
+    }
+
+    /**
+     * Get the id at one end of a link, which layout may have replaced with the node
+     */
+    endId(end) {
+        return end && typeof end === 'object' ? end.id : end;
+    }
+}
+
+// Export formats with their file extension and media type
+GraphExporter.FORMATS = {
+    dot: { label: 'Graphviz', extension: '.gv', type: 'text/vnd.graphviz' },
+    mermaid: { label: 'Mermaid', extension: '.mmd', type: 'text/plain;charset=utf-8' }
+};
+
+// Colours matching the card and link styles in index.html
+GraphExporter.SEX_COLORS = {
+    M: '#6495ed',
+    F: '#ff69b4'
+};
+
+GraphExporter.SEX_CLASSES = {
+    M: 'male',
+    F: 'female'
+};
+
+GraphExporter.LINK_COLORS = {
+    'marriage': '#ffd700',
+    'parent-child': '#64c8ff',
+    'adopted': '#78dc78',
+    'foster': '#ffa550',
+    'step': '#be82ff',
+    'disproven': '#ff5a5a'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GraphExporter;
+}
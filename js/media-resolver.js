@@ -0,0 +1,102 @@
+/**
+ * Media Resolver
+ * Turns OBJE FILE paths into URLs the browser can load
+ */
+
+class MediaResolver {
+    constructor() {
+        this.baseUrl = null;
+        this.files = new Map();
+        this.objectUrls = [];
+    }
+
+    /**
+     * Set the URL the GEDCOM file was loaded from; relative paths resolve against it
+     * @param {string|null} url - The GEDCOM file URL, or null for local files
+     */
+    setBaseUrl(url) {
+        this.baseUrl = url;
+    }
+
+    /**
+     * Register a local file (from a chosen folder or an archive)
+     * @param {string} path - Path of the file relative to its folder
+     * @param {Blob} blob - The file contents
+     */
+    addFile(path, blob) {
+        const url = URL.createObjectURL(blob);
+        this.objectUrls.push(url);
+
+        const normalized = this.normalizePath(path);
+        this.files.set(normalized, url);
+
+        // Also index by the path below the chosen folder and by bare file name
+        const parts = normalized.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            const suffix = parts.slice(i).join('/');
+            if (!this.files.has(suffix)) {
+                this.files.set(suffix, url);
+            }
+        }
+    }
+
+    /**
+     * Register every file of a folder picked with <input webkitdirectory>
+     * @param {FileList} fileList - The selected files
+     */
+    addFileList(fileList) {
+        Array.from(fileList).forEach(file => {
+            this.addFile(file.webkitRelativePath || file.name, file);
+        });
+    }
+
+    /**
+     * Forget all registered files and release their object URLs
+     */
+    clear() {
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+        this.files.clear();
+    }
+
+    /**
+     * Resolve a FILE path to a loadable URL
+     * @param {string} path - The OBJE FILE value
+     * @returns {string|null} URL, or null if the file cannot be located
+     */
+    resolve(path) {
+        if (!path) return null;
+        if (/^(https?|data|blob):/i.test(path)) return path;
+
+        // Prefer local files, matching the longest known path suffix
+        const parts = this.normalizePath(path).split('/');
+        for (let i = 0; i < parts.length; i++) {
+            const url = this.files.get(parts.slice(i).join('/'));
+            if (url) return url;
+        }
+
+        // Relative paths can be loaded next to a GEDCOM served over HTTP
+        const isAbsolute = /^([a-z]:[\\/]|[\\/]|file:)/i.test(path);
+        if (this.baseUrl && !isAbsolute) {
+            return new URL(path.replace(/\\/g, '/'), this.baseUrl).href;
+        }
+        return null;
+    }
+
+    /**
+     * Normalise a path for lookup: forward slashes, no drive or scheme, lower case
+     */
+    normalizePath(path) {
+        return path
+            .replace(/\\/g, '/')
+            .replace(/^file:\/*/i, '')
+            .replace(/^[a-z]:\//i, '')
+            .replace(/^\.?\/+/, '')
+            .toLowerCase();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MediaResolver;
+}
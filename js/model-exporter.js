@@ -0,0 +1,136 @@
+/**
+ * Model Exporter
+ * Exports a parsed GEDCOM file as a flat person CSV, a JSON dump of the
+ * parsed model or GEDCOM X JSON, for analysis in other tools
+ */
+
+class ModelExporter {
+    /**
+     * @param {GedcomParser} parser - A parser that has parsed a file
+     */
+    constructor(parser) {
+        this.parser = parser;
+    }
+
+    /**
+     * Export in one of ModelExporter.FORMATS
+     * @param {string} format - 'csv', 'json' or 'gedcomx'
+     * @returns {string} The exported text
+     */
+    export(format) {
+        switch (format) {
+            case 'csv':
+                return this.toCsv();
+            case 'json':
+                return this.toJson();
+            case 'gedcomx': {
+                // A <script> global in the browser, a module under Node
+                const Exporter = typeof GedcomXExporter !== 'undefined' ? GedcomXExporter : require('./gedcomx-exporter');
+                return JSON.stringify(new Exporter(this.parser).export(), null, 2);
+            }
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    /**
+     * One row per individual, with parents and spouses given by id
+     * The headers are the ones the CSV importer recognises
+     */
+    toCsv() {
+        const parser = this.parser;
+        const format = event => event ? GedcomDate.format(event.dateValue) || event.date : '';
+        const rows = [ModelExporter.CSV_COLUMNS];
+
+        parser.individuals.forEach(individual => {
+            const name = parser.getPreferredName(individual) || { given: '', surname: '' };
+
+            // Birth parents are preferred over adoptive, foster and step-parents
+            const links = [...individual.familyChild].sort((a, b) =>
+                (a.pedigree !== 'birth') - (b.pedigree !== 'birth'));
+            const parents = links.map(link => parser.families.get(link.family)).find(Boolean) || {};
+
+            const spouses = individual.familySpouse
+                .map(id => parser.families.get(id))
+                .filter(Boolean)
+                .map(family => family.husband === individual.id ? family.wife : family.husband)
+                .filter(Boolean);
+
+            rows.push([
+                individual.id,
+                parser.getDisplayName(individual),
+                name.given,
+                name.surname,
+                individual.sex,
+                format(individual.birth),
+                individual.birth ? individual.birth.place : '',
+                format(individual.death),
+                individual.death ? individual.death.place : '',
+                parents.husband || '',
+                parents.wife || '',
+                spouses.join('; '),
+                individual.occupation,
+                individual.nationality
+            ]);
+        });
+
+        return rows.map(row => row.map(value => this.quoteCsv(value)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV value when it holds a comma, quote or line break
+     */
+    quoteCsv(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Dump the parsed model as JSON
+     * Record trees and resolved links (a citation's source, a link's media
+     * record...) are left out; the ids beside them say what they point to
+     */
+    toJson() {
+        const parser = this.parser;
+        const model = {
+            version: parser.version,
+            header: parser.header,
+            individuals: Object.fromEntries(parser.individuals),
+            families: Object.fromEntries(parser.families),
+            sources: Object.fromEntries(parser.sources),
+            repositories: Object.fromEntries(parser.repositories),
+            notes: Object.fromEntries(parser.notes),
+            media: Object.fromEntries(parser.media),
+            submitters: Object.fromEntries(parser.submitters),
+            places: Object.fromEntries(parser.places),
+            warnings: parser.warnings,
+            normalizations: parser.normalizations
+        };
+
+        return JSON.stringify(model, function (key, value) {
+            if (key === 'record') return undefined;
+            if (ModelExporter.RESOLVED_LINKS.includes(key) && this[`${key}Id`]) return undefined;
+            return value;
+        }, 2);
+    }
+}
+
+// Export formats with their file extension and media type
+ModelExporter.FORMATS = {
+    csv: { label: 'CSV', extension: '.csv', type: 'text/csv;charset=utf-8' },
+    json: { label: 'JSON', extension: '.json', type: 'application/json' },
+    gedcomx: { label: 'GEDCOM X', extension: '.gedcomx.json', type: 'application/x-gedcomx-v1+json' }
+};
+
+ModelExporter.CSV_COLUMNS = [
+    'Id', 'Name', 'Given names', 'Surname', 'Sex', 'Birth date', 'Birth place', 'Death date',
+    'Death place', 'Father', 'Mother', 'Spouses', 'Occupation', 'Nationality'
+];
+
+// Fields the parser fills with the record an id points to
+ModelExporter.RESOLVED_LINKS = ['source', 'repository', 'media', 'submitter'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelExporter;
+}
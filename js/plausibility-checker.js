@@ -0,0 +1,303 @@
+/**
+ * Plausibility Checker
+ * Runs configurable rules over a parsed GEDCOM model to find dates and
+ * relationships that cannot be right, such as a death before a birth
+ */
+
+class PlausibilityChecker {
+    /**
+     * Build a config from a base config and the limits declared in a file header:
+     *   1 _PLAUSIBILITY
+     *   2 _MAXLIFESPAN 130
+     *   2 _SEVERITY lifespan info
+     *   2 _DISABLE mother-too-old
+     *   2 _PROFILE Ents
+     *   3 _NATI ent
+     *   3 _MAXLIFESPAN 10000
+     * Header profiles come after the base profiles, so they win
+     * @param {Object} header - The HEAD record node, or null
+     * @param {Object} base - The config to start from; it is copied, not changed
+     */
+    static configFromHeader(header, base = PlausibilityChecker.DEFAULT_CONFIG) {
+        const config = structuredClone(base);
+        const settings = header ? header.children.filter(node => node.tag === '_PLAUSIBILITY') : [];
+        const values = (node, tag) => node.children.filter(child => child.tag === tag && child.value).map(child => child.value);
+        const thresholds = node => {
+            const limits = {};
+            Object.entries(PlausibilityChecker.THRESHOLD_TAGS).forEach(([tag, key]) => {
+                values(node, tag).forEach(value => {
+                    const limit = /^NONE$/i.test(value) ? Infinity : Number(value);
+                    if (!isNaN(limit)) limits[key] = limit;
+                });
+            });
+            return limits;
+        };
+
+        settings.forEach(node => {
+            Object.assign(config.thresholds, thresholds(node));
+            config.disabled.push(...values(node, '_DISABLE'));
+            values(node, '_SEVERITY').forEach(value => {
+                const [rule, severity] = value.split(/\s+/);
+                if (PlausibilityChecker.SEVERITIES.includes(severity)) config.severities[rule] = severity;
+            });
+            node.children.filter(child => child.tag === '_PROFILE').forEach(child => {
+                const nationalities = values(child, '_NATI');
+                const eras = values(child, '_ERA');
+                config.profiles.push({
+                    label: child.value,
+                    ...(nationalities.length > 0 ? { nationalities } : {}),
+                    ...(eras.length > 0 ? { eras } : {}),
+                    thresholds: thresholds(child)
+                });
+            });
+        });
+        return config;
+    }
+
+    /**
+     * @param {GedcomParser} parser - A parser that has already parsed the file
+     * @param {Object} config - { thresholds, profiles, severities, disabled }
+     *   thresholds: default limits in years (maxLifespan, maxMotherAge)
+     *   profiles: [{ label, nationalities, eras, thresholds }] overriding the
+     *     limits for people whose NATI or birth era matches; later profiles win
+     *   severities: rule id -> 'error' | 'warning' | 'info'
+     *   disabled: rule ids to skip
+     */
+    constructor(parser, config = PlausibilityChecker.DEFAULT_CONFIG) {
+        this.parser = parser;
+        this.config = config;
+        this.findings = [];
+    }
+
+    /**
+     * Run every enabled rule
+     * @returns {Array} Findings { rule, severity, personId, message }
+     */
+    run() {
+        this.findings = [];
+        const disabled = new Set(this.config.disabled || []);
+
+        PlausibilityChecker.RULES
+            .filter(rule => !disabled.has(rule.id))
+            .forEach(rule => {
+                const severity = (this.config.severities || {})[rule.id] || rule.severity;
+                rule.check(this, (personId, message) => {
+                    this.findings.push({ rule: rule.id, severity, personId, message });
+                });
+            });
+
+        return this.findings;
+    }
+
+    /**
+     * Get the findings about one person
+     */
+    getFindingsFor(personId) {
+        return this.findings.filter(finding => finding.personId === personId);
+    }
+
+    /**
+     * Group findings by severity, most severe first
+     * @returns {Array} [{ severity, findings }] for severities that have findings
+     */
+    groupBySeverity() {
+        return PlausibilityChecker.SEVERITIES
+            .map(severity => ({
+                severity,
+                findings: this.findings.filter(finding => finding.severity === severity)
+            }))
+            .filter(group => group.findings.length > 0);
+    }
+
+    /**
+     * Get the limits that apply to a person
+     * Profiles match on nationality (NATI) and the era of the birth date
+     */
+    getThresholds(individual) {
+        const thresholds = { ...this.config.thresholds };
+        const nationality = (individual.nationality || '').toLowerCase();
+        const birthPoint = individual.birth && individual.birth.dateValue
+            ? individual.birth.dateValue.start || individual.birth.dateValue.end
+            : null;
+        const era = birthPoint && birthPoint.era ? birthPoint.era.code.toUpperCase() : '';
+
+        (this.config.profiles || []).forEach(profile => {
+            if (profile.nationalities &&
+                !profile.nationalities.some(value => value.toLowerCase() === nationality)) return;
+            if (profile.eras && !profile.eras.some(value => value.toUpperCase() === era)) return;
+            Object.assign(thresholds, profile.thresholds);
+        });
+        return thresholds;
+    }
+
+    /**
+     * Get the day range of an event's date, or null
+     */
+    getRange(event) {
+        return event && event.dateValue ? GedcomDate.range(event.dateValue) : null;
+    }
+
+    /**
+     * Get the fewest whole years that must lie between two events, or null
+     */
+    getMinimumYears(from, to) {
+        const start = this.getRange(from);
+        const end = this.getRange(to);
+        if (!start || !end || !isFinite(start.latest) || !isFinite(end.earliest)) return null;
+        return Math.floor((end.earliest - start.latest + 1) / 365.2425);
+    }
+
+    /**
+     * Whether the first event must have happened strictly before the second
+     */
+    isDefinitelyBefore(first, second) {
+        const a = this.getRange(first);
+        const b = this.getRange(second);
+        return !!(a && b && a.latest < b.earliest);
+    }
+
+    /**
+     * Write an event's date for messages, with its era or calendar, e.g. "TA 2941"
+     */
+    formatDate(event) {
+        return GedcomDate.format(event.dateValue) || event.date;
+    }
+
+    /**
+     * Name a person for messages
+     */
+    describe(individual) {
+        return this.parser.getDisplayName(individual);
+    }
+}
+
+PlausibilityChecker.SEVERITIES = ['error', 'warning', 'info'];
+
+// Each rule reports findings through report(personId, message)
+PlausibilityChecker.RULES = [
+    {
+        id: 'death-before-birth',
+        label: 'Death before birth',
+        severity: 'error',
+        check(checker, report) {
+            checker.parser.individuals.forEach(individual => {
+                if (checker.isDefinitelyBefore(individual.death, individual.birth)) {
+                    report(individual.id, `Died (${checker.formatDate(individual.death)}) ` +
+                        `before being born (${checker.formatDate(individual.birth)})`);
+                }
+            });
+        }
+    },
+    {
+        id: 'parent-born-after-child',
+        label: 'Parent born after child',
+        severity: 'error',
+        check(checker, report) {
+            const individuals = checker.parser.individuals;
+            checker.parser.families.forEach(family => {
+                const parents = [family.husband, family.wife]
+                    .map(id => individuals.get(id))
+                    .filter(Boolean);
+                family.children.forEach(childId => {
+                    const child = individuals.get(childId);
+                    if (!child) return;
+                    parents.forEach(parent => {
+                        if (checker.isDefinitelyBefore(child.birth, parent.birth)) {
+                            report(child.id, `Born (${checker.formatDate(child.birth)}) before their parent ` +
+                                `${checker.describe(parent)} (${checker.formatDate(parent.birth)})`);
+                        }
+                    });
+                });
+            });
+        }
+    },
+    {
+        id: 'mother-too-old',
+        label: 'Mother too old at childbirth',
+        severity: 'warning',
+        check(checker, report) {
+            const individuals = checker.parser.individuals;
+            checker.parser.families.forEach(family => {
+                const mother = individuals.get(family.wife);
+                if (!mother) return;
+                const limit = checker.getThresholds(mother).maxMotherAge;
+
+                family.children.forEach(childId => {
+                    const child = individuals.get(childId);
+                    if (!child) return;
+                    // Age only matters for the woman who gave birth
+                    const link = checker.parser.getParentFamilyLink(child, family.id);
+                    if (link && link.pedigree !== 'birth') return;
+
+                    const age = checker.getMinimumYears(mother.birth, child.birth);
+                    if (age !== null && age > limit) {
+                        report(mother.id, `Was at least ${age} when ${checker.describe(child)} was born ` +
+                            `(limit ${limit})`);
+                    }
+                });
+            });
+        }
+    },
+    {
+        id: 'marriage-after-death',
+        label: 'Marriage after death',
+        severity: 'error',
+        check(checker, report) {
+            const individuals = checker.parser.individuals;
+            checker.parser.families.forEach(family => {
+                if (!family.marriage) return;
+                [family.husband, family.wife]
+                    .map(id => individuals.get(id))
+                    .filter(Boolean)
+                    .forEach(spouse => {
+                        if (checker.isDefinitelyBefore(spouse.death, family.marriage)) {
+                            report(spouse.id, `Married (${checker.formatDate(family.marriage)}) ` +
+                                `after dying (${checker.formatDate(spouse.death)})`);
+                        }
+                    });
+            });
+        }
+    },
+    {
+        id: 'lifespan',
+        label: 'Implausibly long life',
+        severity: 'warning',
+        check(checker, report) {
+            checker.parser.individuals.forEach(individual => {
+                const limit = checker.getThresholds(individual).maxLifespan;
+                const age = checker.getMinimumYears(individual.birth, individual.death);
+                if (age !== null && age > limit) {
+                    report(individual.id, `Lived at least ${age} years (limit ${limit})`);
+                }
+            });
+        }
+    }
+];
+
+// Header tags for each threshold; NONE means no limit
+PlausibilityChecker.THRESHOLD_TAGS = {
+    _MAXLIFESPAN: 'maxLifespan',
+    _MAXMOTHERAGE: 'maxMotherAge'
+};
+
+// Limits for ordinary mortals, with profiles for the longer-lived peoples of Arda
+PlausibilityChecker.DEFAULT_CONFIG = {
+    thresholds: {
+        maxLifespan: 120,
+        maxMotherAge: 60
+    },
+    profiles: [
+        { label: 'Hobbits', nationalities: ['hobbit'], thresholds: { maxLifespan: 135 } },
+        { label: 'Dwarves', nationalities: ['dwarf'], thresholds: { maxLifespan: 350, maxMotherAge: 150 } },
+        { label: 'Dúnedain', nationalities: ['numenorean', 'arnorian', 'gondorian'], thresholds: { maxLifespan: 300, maxMotherAge: 100 } },
+        { label: 'Númenóreans of the Second Age', nationalities: ['numenorean'], eras: ['SA'], thresholds: { maxLifespan: 500, maxMotherAge: 250 } },
+        { label: 'Elves and Maiar', nationalities: ['elf', 'half-elf', 'maiar'], thresholds: { maxLifespan: Infinity, maxMotherAge: Infinity } }
+    ],
+    severities: {},
+    disabled: []
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlausibilityChecker;
+}
@@ -0,0 +1,173 @@
+/**
+ * Zip Archive
+ * Reads .zip and GEDZIP (.gdz) archives in the browser, inflating entries
+ * with the built-in DecompressionStream so nothing is sent over the network
+ */
+
+class ZipArchive {
+    /**
+     * @param {ArrayBuffer} buffer - The whole archive
+     * @param {Array} entries - Entries from the central directory
+     */
+    constructor(buffer, entries) {
+        this.buffer = buffer;
+        this.entries = entries;
+    }
+
+    /**
+     * Whether bytes start with a zip local file header ("PK\3\4")
+     * @param {Uint8Array} bytes - The start of a file
+     */
+    static isZip(bytes) {
+        return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B &&
+            bytes[2] === 0x03 && bytes[3] === 0x04;
+    }
+
+    /**
+     * Read the central directory of an archive
+     * @param {ArrayBuffer} buffer - The whole archive
+     * @returns {ZipArchive} The archive with its entry list
+     */
+    static read(buffer) {
+        const view = new DataView(buffer);
+        const end = this.findEndOfCentralDirectory(view);
+        if (end < 0) {
+            throw new Error('Not a zip archive');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        if (offset === 0xFFFFFFFF) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const decoder = new TextDecoder('utf-8');
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== ZipArchive.CENTRAL_HEADER) {
+                throw new Error('Zip central directory is damaged');
+            }
+
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+            entries.push({
+                name,
+                flags: view.getUint16(offset + 8, true),
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                headerOffset: view.getUint32(offset + 42, true),
+                isDirectory: name.endsWith('/')
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return new ZipArchive(buffer, entries);
+    }
+
+    /**
+     * Find the end of central directory record, which sits after any archive comment
+     * @returns {number} Its byte offset, or -1
+     */
+    static findEndOfCentralDirectory(view) {
+        const last = view.byteLength - 22;
+        const first = Math.max(0, last - 0xFFFF);
+        for (let offset = last; offset >= first; offset--) {
+            if (view.getUint32(offset, true) === ZipArchive.END_OF_CENTRAL_DIRECTORY) {
+                return offset;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Get the files in the archive, leaving out folders and macOS metadata
+     */
+    getFiles() {
+        return this.entries.filter(entry =>
+            !entry.isDirectory && !/(^|\/)__MACOSX\//.test(entry.name) && !/(^|\/)\._/.test(entry.name));
+    }
+
+    /**
+     * Find the GEDCOM file in the archive
+     * GEDZIP requires gedcom.ged at the root; plain zips may put it anywhere,
+     * so the least deeply nested .ged is used
+     * @returns {Object|null} The entry, or null if there is none
+     */
+    findGedcom() {
+        const files = this.getFiles();
+        const gedzip = files.find(entry => entry.name.toLowerCase() === 'gedcom.ged');
+        if (gedzip) return gedzip;
+
+        const depth = entry => entry.name.split('/').length;
+        return files
+            .filter(entry => /\.(ged|gedcom)$/i.test(entry.name))
+            .sort((a, b) => depth(a) - depth(b))[0] || null;
+    }
+
+    /**
+     * Get the uncompressed contents of an entry
+     * @returns {Promise<Uint8Array>}
+     */
+    async getBytes(entry) {
+        if (entry.flags & 0x1) {
+            throw new Error(`${entry.name} is encrypted`);
+        }
+
+        // The local header repeats the name and may carry a different extra field
+        const view = new DataView(this.buffer);
+        if (view.getUint32(entry.headerOffset, true) !== ZipArchive.LOCAL_HEADER) {
+            throw new Error(`Zip entry ${entry.name} is damaged`);
+        }
+        const start = entry.headerOffset + 30 +
+            view.getUint16(entry.headerOffset + 26, true) +
+            view.getUint16(entry.headerOffset + 28, true);
+        const data = new Uint8Array(this.buffer, start, entry.compressedSize);
+
+        if (entry.method === 0) {
+            return data.slice();
+        }
+        if (entry.method !== 8) {
+            throw new Error(`${entry.name} uses an unsupported compression method (${entry.method})`);
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Get an entry as a Blob, typed from its extension so images display
+     * @returns {Promise<Blob>}
+     */
+    async getBlob(entry) {
+        const extension = (entry.name.match(/\.([a-z0-9]+)$/i) || [])[1] || '';
+        const type = ZipArchive.MIME_TYPES[extension.toLowerCase()] || '';
+        return new Blob([await this.getBytes(entry)], { type });
+    }
+}
+
+// Record signatures
+ZipArchive.LOCAL_HEADER = 0x04034B50;
+ZipArchive.CENTRAL_HEADER = 0x02014B50;
+ZipArchive.END_OF_CENTRAL_DIRECTORY = 0x06054B50;
+
+// Media types for bundled files the browser shows directly
+ZipArchive.MIME_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    pdf: 'application/pdf',
+    txt: 'text/plain'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipArchive;
+}